@@ -1,74 +1,89 @@
-import { ethers } from 'ethers';
-import { contractCall } from './src/transactions.js';
-import { generateAIResponse } from './src/chat.js';
-import { sign_with_private_key } from './src/auth.js';
+import fs from 'fs';
 import logger from './src/logger.js';
 import { showLogo, showStats } from './src/logo.js';
-import dotenv from 'dotenv';
-import fs from 'fs';
 import {
-    getNonce,
-    login,
-    setInviter,
-    verifyDailyTask,
-    createNewAgent,
-    createNewRequest,
-    getUserData
-} from './src/api.js';
-
-dotenv.config();
-
-// Parse multiple PRIVATE_KEY entries from .env
-function parsePrivateKeys() {
-    const envContent = fs.readFileSync('.env', 'utf-8');
-    const lines = envContent.split('\n');
-    const privateKeys = [];
-    
-    for (const line of lines) {
-        const trimmed = line.trim();
-        if (trimmed.startsWith('PRIVATE_KEY=')) {
-            const key = trimmed.replace('PRIVATE_KEY=', '').trim();
-            if (key && key.startsWith('0x') && key.length > 10) {
-                privateKeys.push(key);
-            }
-        }
-    }
-    
-    return privateKeys;
+    accountsStats,
+    initAccounts,
+    runCycle,
+    showStatus,
+    printSavedSummary,
+    showRpcHealth,
+    persistState,
+    accountAddresses,
+    sleep
+} from './src/bot.js';
+import { loadConfig, parseCliOverrides, ConfigError } from './src/config.js';
+import { startMetricsServer } from './src/metrics.js';
+import { getNotifier } from './src/notify.js';
+import { AccountScheduler, nextRunAt, initialRunAt } from './src/scheduler.js';
+import { loadPrivateKeys, parseEnvPrivateKeys, resolvePassword, convertKeys } from './src/keystore.js';
+import { readLedger, latestEntries, filterLedger, toCsv } from './src/ledger.js';
+import { findRegistrations, reconcile } from './src/reconcile.js';
+import { getProvider } from './src/transactions.js';
+import { requestShutdown, isShuttingDown, shutdownReason, inFlightWork } from './src/shutdown.js';
+import { Dashboard } from './src/dashboard.js';
+
+// Validate the whole configuration before doing anything else
+let config;
+try {
+    config = loadConfig({ argv: process.argv.slice(2) });
+} catch (error) {
+    if (!(error instanceof ConfigError)) throw error;
+    logger.error(error.message);
+    process.exit(1);
+}
+logger.configure(config.log);
+
+// Keys of every account, loaded in main() from keystores or .env
+let PRIVATE_KEYS = [];
+const WAIT_HOURS = config.schedule.waitHours;
+const DRY_RUN = config.dryRun;
+
+// Positional arguments left after the config flags: <command> [args]
+const [COMMAND = 'run', ...ARGS] = parseCliOverrides(process.argv.slice(2)).rest;
+
+const USAGE = `Usage: node main.js [command] [--dry-run] [--dashboard] [--config file] [--<key>=<value>]
+
+Commands:
+  run            process every account, then each again when its cooldown ends (default)
+  once           process every account once; exits 1 if any account failed
+  status         print daily task status and user data of every account, no tasks
+  account <n>    process only account #n once; exits 1 if it failed
+  summary        print the stats saved by the last run
+  convert        encrypt the PRIVATE_KEY entries of .env into keystores
+  ledger         list created agents and requests from the ledger
+                   --account <address>   only this wallet (a prefix is enough)
+                   --from <date>, --to <date>   YYYY-MM-DD, inclusive
+                   --all                 every status change instead of the latest per item
+                   --csv [file]          CSV to stdout or the given file
+  reconcile      check ledger items against their on-chain registrations; exits 1 on problems
+                   --account <address>   only this wallet (a prefix is enough)
+                   --from-block <n>, --to-block <n>   blocks to scan (default: reconcile.lookbackBlocks up to latest)
+
+  --dashboard    live full-screen table of every account for run, once and account`;
+
+function formatDuration(ms) {
+    const totalMinutes = Math.max(0, Math.round(ms / 60000));
+    return `${Math.floor(totalMinutes / 60)}h ${totalMinutes % 60}m`;
 }
 
-const PRIVATE_KEYS = parsePrivateKeys();
-const WAIT_HOURS = parseInt(process.env.WAIT_HOURS) || 12;
-const MAX_RETRIES = 3;
-const RETRY_DELAY = 5000;
-
-// Stats per account
-const accountsStats = {};
+// Live view started by showStartup when ui.dashboard is on
+let dashboard = null;
 
-async function retryWithBackoff(fn, retries = MAX_RETRIES, delay = RETRY_DELAY) {
-    for (let i = 0; i < retries; i++) {
-        try {
-            return await fn();
-        } catch (error) {
-            if (i === retries - 1) throw error;
+// Sleep until dueAt (ms), showing a countdown on TTYs; returns early on shutdown
+async function countdownTimer(dueAt) {
+    const endTime = dueAt;
+    if (endTime <= Date.now()) return;
 
-            const waitTime = delay * Math.pow(2, i);
-            logger.warn(`Attempt ${i + 1} failed, retrying in ${waitTime / 1000}s...`);
-            await sleep(waitTime);
-        }
+    // The dashboard shows the cooldown of every account itself
+    if (dashboard) {
+        logger.info(`${logger.EMOJIS.hourglass} Next task check at ${new Date(endTime).toLocaleString()}`);
+        await sleep(Math.max(0, endTime - Date.now()));
+        return;
     }
-}
-
-function sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-}
-
-async function countdownTimer(hours) {
-    const totalSeconds = hours * 60 * 60;
-    const endTime = Date.now() + (totalSeconds * 1000);
 
     logger.separator();
-    logger.info(`${logger.EMOJIS.hourglass} Next task check in ${parseInt(hours)} hours`);
+    logger.info(`${logger.EMOJIS.hourglass} Next task check in ${formatDuration(endTime - Date.now())} (${new Date(endTime).toLocaleString()})`);
     logger.separator();
 
     const countdownInterval = setInterval(() => {
@@ -85,470 +100,432 @@ async function countdownTimer(hours) {
         process.stdout.write(`\r${logger.COLORS.dim}⏳ Time until next check: ${logger.countdown(remaining)} (${hours}h ${mins}m remaining)${logger.COLORS.reset}`);
     }, 60000);
 
-    await sleep(totalSeconds * 1000);
+    await sleep(Math.max(0, endTime - Date.now()));
     clearInterval(countdownInterval);
     process.stdout.write('\r' + ' '.repeat(80) + '\r');
 }
 
-// Check token validity
-async function checkTokenValid(token_expire_time) {
-    const now = Math.floor(Date.now() / 1000);
-
-    if (now >= token_expire_time) {
-        logger.warn(`${logger.EMOJIS.key} Token expired, refreshing authentication...`);
-        return false;
-    } else {
-        logger.success(`${logger.EMOJIS.check} Token is valid`);
-        return true;
-    }
+// Upcoming run of every account, earliest first
+function showSchedule(scheduler) {
+    if (dashboard) return;
+    const now = Date.now();
+    logger.info(`${logger.EMOJIS.hourglass} Upcoming schedule:`);
+    logger.table(scheduler.upcoming().map(({ account, dueAt }) => ({
+        account: `#${account + 1}`,
+        due: new Date(dueAt).toLocaleString(),
+        in: dueAt <= now ? 'now' : formatDuration(dueAt - now),
+        lastRun: accountsStats[account]?.lastStatus ?? 'never',
+    })));
 }
 
-// Get token
-async function getToken(private_key, accountIndex) {
-    logger.header(`AUTHENTICATION - ACCOUNT #${accountIndex + 1}`);
-
-    try {
-        if (!private_key) {
-            logger.error('Private key is not set!');
-            return null;
-        }
-
-        const address = new ethers.Wallet(private_key).address;
-        logger.info(`${logger.EMOJIS.wallet} Wallet Address: ${logger.COLORS.cyan}${address}${logger.COLORS.reset}`);
-
-        const loader = logger.loading('Fetching nonce');
-        const message = await getNonce(address);
-        logger.stopLoading(loader);
-
-        if (!message || !message.data) {
-            logger.error('Failed to get nonce');
-            return null;
+function showStartup(mode) {
+    if (config.ui.dashboard) {
+        if (process.stdout.isTTY) {
+            dashboard = new Dashboard({ stats: accountsStats, addresses: accountAddresses() });
+            dashboard.start();
+            logger.info(`Mode: Sequential Processing (${mode}), ${PRIVATE_KEYS.length} account(s)`);
+            return;
         }
+        logger.warn('Dashboard needs a terminal, output is not one - logging as usual');
+    }
 
-        const nonce = message.data.nonce;
-        logger.success(`${logger.EMOJIS.check} Nonce received: ${logger.COLORS.yellow}${nonce}${logger.COLORS.reset}`);
+    showLogo();
 
-        const loader2 = logger.loading('Signing message');
-        const { signature } = await sign_with_private_key(private_key, nonce);
-        logger.stopLoading(loader2);
-        logger.success(`${logger.EMOJIS.check} Message signed successfully`);
+    logger.banner('🔥 SYSTEM INITIALIZED', logger.COLORS.green);
+    logger.info(`Start Time: ${new Date().toLocaleString()}`);
+    logger.info(`Mode: Sequential Processing (${mode})`);
+    logger.info(`Total Accounts: ${PRIVATE_KEYS.length}`);
+    logger.separator();
+}
 
-        const loader3 = logger.loading('Authenticating');
-        const loginResponse = await login(address, signature, nonce);
-        logger.stopLoading(loader3);
+// Exit codes of a run cut short by a signal, 128 + signal number as shells report them
+const SIGNAL_EXIT_CODES = { SIGINT: 130, SIGTERM: 143 };
 
-        if (loginResponse && loginResponse.data && loginResponse.data.token) {
-            logger.success(`${logger.EMOJIS.success} Login successful!`);
+// Exit code for a one-shot command: 1 when any account failed, the signal's code when a
+// signal kept accounts from finishing, so cron never mistakes a cut-short run for success
+function exitCode(failed) {
+    if (failed.length === 0) return 0;
 
-            const loader4 = logger.loading('Setting inviter');
-            await setInviter(loginResponse.data.token);
-            logger.stopLoading(loader4);
-            logger.success(`${logger.EMOJIS.check} Inviter configured`);
+    const accounts = failed.map(i => `#${i + 1}`).join(', ');
+    if (isShuttingDown()) {
+        logger.error(`Stopped by ${shutdownReason()} - ${failed.length} account(s) failed or not started: ${accounts}`);
+        return SIGNAL_EXIT_CODES[shutdownReason()] ?? 1;
+    }
+    logger.error(`${failed.length} account(s) failed: ${accounts}`);
+    return 1;
+}
 
-            logger.separator();
-            return { ...loginResponse.data, address };
-        } else {
-            logger.error('Login failed - no session token received');
-            return null;
-        }
+// Optional Prometheus endpoint for the daemon
+async function startMetrics() {
+    const { host, port } = config.metrics;
+    if (!port) return;
 
+    try {
+        await startMetricsServer({ host, port });
+        logger.info(`📈 Metrics on http://${host}:${port}/metrics`);
     } catch (error) {
-        logger.error(`Authentication error: ${error.message}`);
-        return null;
+        logger.warn(`Metrics endpoint not started: ${error.message}`);
     }
 }
 
-// Create agent
-async function createAgent(session_token, accountIndex) {
-    logger.header(`CREATING AGENT - ACCOUNT #${accountIndex + 1}`);
+// Daemon: process every account, wait, repeat
+async function run() {
+    showStartup(DRY_RUN ? 'dry run, single cycle' : 'per-account cooldown schedule');
+    await startMetrics();
+    await showRpcHealth();
+
+    // A dry run checks config and keys once: nothing is created, sent or saved
+    if (DRY_RUN) {
+        logger.warn('🧪 DRY RUN - no platform records, no transactions, state file untouched');
+        await runCycle(1);
+        return 0;
+    }
 
-    try {
-        const loader = logger.loading('Generating AI agent data');
-        const agentData = await generateAIResponse('create agent', 'createAgent');
-        logger.stopLoading(loader);
+    // Each account runs again when its own cooldown ends, not on a shared timer
+    const schedule = {
+        safetyMarginSeconds: config.schedule.safetyMarginSeconds,
+        retryMinutes: config.schedule.retryMinutes,
+        maxWaitHours: WAIT_HOURS,
+    };
+    const scheduler = new AccountScheduler();
+    PRIVATE_KEYS.forEach((_, i) => scheduler.schedule(i, initialRunAt(accountsStats[i], schedule)));
 
-        const agent = JSON.parse(agentData);
-        const { name_agent, description } = agent ?? { name_agent: '', description: '' };
+    let cycleCount = 0;
 
-        if (!name_agent || !description) {
-            logger.error('Invalid agent data generated');
-            return false;
-        }
+    while (!isShuttingDown()) {
+        let due = [];
+        try {
+            showSchedule(scheduler);
+            await countdownTimer(scheduler.peek().dueAt);
+            if (isShuttingDown()) break;
 
-        logger.box(
-            `Name: ${name_agent}\nDescription: ${description}`,
-            logger.COLORS.green
-        );
+            due = scheduler.takeDue();
+            cycleCount++;
+            await runCycle(cycleCount, due);
 
-        const loader2 = logger.loading('Creating agent on platform');
-        const agentResponse = await retryWithBackoff(() => createNewAgent(session_token, name_agent, description));
-        logger.stopLoading(loader2);
+            for (const i of due) {
+                scheduler.schedule(i, nextRunAt(accountsStats[i], schedule));
+            }
 
-        if (!agentResponse || !agentResponse.data) {
-            logger.error('Failed to create agent on platform');
-            return false;
+        } catch (error) {
+            logger.error(`❌ Critical error in main loop: ${error.message}`);
+            logger.warn('⚠️ Attempting recovery in 5 minutes...');
+            for (const i of due) {
+                scheduler.schedule(i, Date.now() + 300000);
+            }
+            await sleep(300000);
         }
+    }
 
-        const agentID = agentResponse.data?.id;
+    return 0;
+}
 
-        if (agentID) {
-            logger.success(`${logger.EMOJIS.robot} Agent created with ID: ${logger.COLORS.yellow}${agentID}${logger.COLORS.reset}`);
+// One cycle over all accounts, for cron
+async function once() {
+    showStartup(DRY_RUN ? 'dry run, single cycle' : 'single cycle');
+    await showRpcHealth();
+    return exitCode(await runCycle(1));
+}
 
-            const loader3 = logger.loading('Registering on blockchain');
-            const txResult = await retryWithBackoff(() => contractCall('addNewAgent', agentID, name_agent, description));
-            logger.stopLoading(loader3);
+// One cycle over a single account, leaving the others untouched
+async function account(number) {
+    const index = Number(number) - 1;
+    if (!Number.isInteger(index) || index < 0 || index >= PRIVATE_KEYS.length) {
+        logger.error(`Account number must be between 1 and ${PRIVATE_KEYS.length}, got "${number ?? ''}"`);
+        return 2;
+    }
 
-            if (txResult && txResult.hash) {
-                logger.success(`${logger.EMOJIS.chain} Transaction successful!`);
-                logger.info(`TX Hash: ${logger.COLORS.cyan}${txResult.hash}${logger.COLORS.reset}`);
-                accountsStats[accountIndex].agents++;
-                accountsStats[accountIndex].txs++;
-                logger.separator();
-                return true;
-            }
-        }
+    showStartup(`account #${index + 1} only${DRY_RUN ? ', dry run' : ''}`);
+    await showRpcHealth();
+    return exitCode(await runCycle(1, [index]));
+}
 
-        return false;
-    } catch (error) {
-        logger.error(`Agent creation failed: ${error.message}`);
-        accountsStats[accountIndex].errors++;
-        return false;
-    }
+async function status() {
+    return exitCode(await showStatus());
 }
 
-// Create request
-async function createRequest(session_token, accountIndex) {
-    logger.header(`CREATING REQUEST - ACCOUNT #${accountIndex + 1}`);
+// Stats saved by the last run, read from the state file: needs no keys, nothing is sent anywhere
+async function summary() {
+    return printSavedSummary(config.state.file) ? 0 : 1;
+}
 
-    try {
-        const loader = logger.loading('Generating AI request data');
-        const requestData = await generateAIResponse('create request', 'createRequest');
-        logger.stopLoading(loader);
+// Encrypt the plaintext .env keys into keystores; the .env file itself is left for the user to clean up
+async function convert() {
+    const keys = parseEnvPrivateKeys();
+    if (keys.length === 0) {
+        logger.error('No PRIVATE_KEY entries in .env to convert');
+        return 1;
+    }
 
-        const request = JSON.parse(requestData);
-        const { title, description } = request ?? { title: '', description: '' };
+    const { dir } = config.keystore;
+    const password = await resolvePassword(config.keystore, { confirm: true });
+    const results = await logger.withLoading(`Encrypting ${keys.length} key(s)`, () => convertKeys(keys, dir, password));
 
-        if (!title || !description) {
-            logger.error('Invalid request data generated');
-            return false;
+    for (const result of results) {
+        if (result.created) {
+            logger.success(`${logger.EMOJIS.key} ${result.address} -> ${result.file}`);
+        } else {
+            logger.info(`${logger.EMOJIS.key} ${result.address} already has a keystore in ${dir}, skipped`);
         }
+    }
 
-        logger.box(
-            `Title: ${title}\nDescription: ${description}`,
-            logger.COLORS.blue
-        );
+    logger.warn('Keystores written and verified. Remove the PRIVATE_KEY lines from .env now - they are no longer used.');
+    return 0;
+}
 
-        const loader2 = logger.loading('Creating request on platform');
-        const requestResponse = await retryWithBackoff(() => createNewRequest(session_token, title, description));
-        logger.stopLoading(loader2);
+// Value following --name in the command arguments; true when the flag has no value
+function option(args, name) {
+    const at = args.indexOf(`--${name}`);
+    if (at === -1) return undefined;
+    const value = args[at + 1];
+    return value === undefined || value.startsWith('--') ? true : value;
+}
 
-        if (!requestResponse || !requestResponse.data) {
-            logger.error('Failed to create request on platform');
-            return false;
+// Query the run ledger; needs no keys
+async function ledger(...args) {
+    const filters = { account: option(args, 'account'), from: option(args, 'from'), to: option(args, 'to') };
+    for (const [name, value] of Object.entries(filters)) {
+        if (value === true || (name !== 'account' && value !== undefined && Number.isNaN(Date.parse(value)))) {
+            logger.error(`--${name} needs a ${name === 'account' ? 'wallet address' : 'date like 2026-01-31'}`);
+            return 2;
         }
+    }
 
-        const requestID = requestResponse.data?.id;
-
-        if (requestID) {
-            logger.success(`${logger.EMOJIS.success} Request created with ID: ${logger.COLORS.yellow}${requestID}${logger.COLORS.reset}`);
-
-            const loader3 = logger.loading('Registering on blockchain');
-            const txResult = await retryWithBackoff(() => contractCall('addNewRequest', requestID, title));
-            logger.stopLoading(loader3);
+    const { file } = config.ledger;
+    const { entries, skipped } = readLedger(file);
+    if (skipped > 0) {
+        logger.warn(`Skipped ${skipped} unreadable line(s) in ${file}`);
+    }
 
-            if (txResult && txResult.hash) {
-                logger.success(`${logger.EMOJIS.chain} Transaction successful!`);
-                logger.info(`TX Hash: ${logger.COLORS.cyan}${txResult.hash}${logger.COLORS.reset}`);
-                accountsStats[accountIndex].requests++;
-                accountsStats[accountIndex].txs++;
-                logger.separator();
-                return true;
-            }
-        }
+    const rows = filterLedger(args.includes('--all') ? entries : latestEntries(entries), filters);
+    const csv = option(args, 'csv');
 
-        return false;
-    } catch (error) {
-        logger.error(`Request creation failed: ${error.message}`);
-        accountsStats[accountIndex].errors++;
-        return false;
+    if (csv === true) {
+        process.stdout.write(toCsv(rows));
+    } else if (csv) {
+        fs.writeFileSync(csv, toCsv(rows));
+        logger.success(`${rows.length} ledger entr${rows.length === 1 ? 'y' : 'ies'} written to ${csv}`);
+    } else if (rows.length === 0) {
+        logger.info(`No ledger entries${entries.length > 0 ? ' match these filters' : ` in ${file}`}`);
+    } else {
+        logger.table(rows.map(({ time, account, kind, id, name, status, txHash, gasCost }) => ({
+            time: new Date(time).toLocaleString(),
+            account: `${account.slice(0, 6)}…${account.slice(-4)}`,
+            kind,
+            id,
+            name,
+            status,
+            gas: gasCost ? `${gasCost} BNB` : '',
+            tx: txHash ?? '',
+        })));
     }
+    return 0;
 }
 
-// Execute daily tasks for one account
-async function executeDailyTasks(tokenData, accountIndex) {
-    logger.banner(`🚀 STARTING DAILY TASK - ACCOUNT #${accountIndex + 1}`, logger.COLORS.cyan);
-
-    try {
-        const session_token = tokenData.token;
-        const address = tokenData.address;
-
-        logger.info(`${logger.EMOJIS.info} Checking daily task status...`);
-        const dailyTaskResponse = await retryWithBackoff(() => verifyDailyTask(session_token, address));
-
-        // Validasi response
-        if (!dailyTaskResponse || !dailyTaskResponse.data) {
-            logger.error('Invalid response from daily task verification');
-            logger.warn('Skipping this account...');
-            return false;
-        }
+// Check the ledger against the registrations on chain; needs no keys
+async function reconcileLedger(...args) {
+    const account = option(args, 'account');
+    if (account === true) {
+        logger.error('--account needs a wallet address');
+        return 2;
+    }
 
-        const { is_create_agent, is_create_request, finish_time } = dailyTaskResponse.data;
-        
-        // Validasi property
-        if (typeof is_create_agent === 'undefined' || typeof is_create_request === 'undefined') {
-            logger.error('Missing required properties in response');
-            logger.warn('Skipping this account...');
-            return false;
+    const blocks = { from: option(args, 'from-block'), to: option(args, 'to-block') };
+    for (const [name, value] of Object.entries(blocks)) {
+        if (value !== undefined && !/^\d+$/.test(String(value))) {
+            logger.error(`--${name}-block needs a block number`);
+            return 2;
         }
+    }
 
-        const now = Math.floor(Date.now() / 1000);
-        const cooldownEndTime = finish_time + (24 * 60 * 60);
-        const secondsUntilNextTask = cooldownEndTime - now;
+    const { entries, skipped } = readLedger(config.ledger.file);
+    if (skipped > 0) {
+        logger.warn(`Skipped ${skipped} unreadable line(s) in ${config.ledger.file}`);
+    }
 
-        let taskCompleted = false;
+    const lines = filterLedger(entries, { account });
+    const items = latestEntries(lines);
+    if (items.length === 0) {
+        logger.info(`No ledger entries to reconcile in ${config.ledger.file}`);
+        return 0;
+    }
 
-        // Process agent task
-        if (!is_create_agent) {
-            logger.info(`${logger.EMOJIS.robot} Agent task available - proceeding...`);
-            const agentResult = await createAgent(session_token, accountIndex);
-            if (agentResult) taskCompleted = true;
-        } else {
-            logger.info(`${logger.EMOJIS.check} Agent task already completed`);
+    let report;
+    try {
+        const provider = getProvider();
+        const toBlock = blocks.to !== undefined ? Number(blocks.to) : await provider.getBlockNumber();
+        const fromBlock = blocks.from !== undefined ? Number(blocks.from) : Math.max(0, toBlock - config.reconcile.lookbackBlocks + 1);
+        if (fromBlock > toBlock) {
+            logger.error(`--from-block ${fromBlock} is after --to-block ${toBlock}`);
+            return 2;
         }
 
-        // Process request task
-        if (!is_create_request) {
-            logger.info(`${logger.EMOJIS.info} Request task available - proceeding...`);
-            const requestResult = await createRequest(session_token, accountIndex);
-            if (requestResult) taskCompleted = true;
-        } else {
-            logger.info(`${logger.EMOJIS.check} Request task already completed`);
-        }
+        const registrations = await logger.withLoading(`Scanning blocks ${fromBlock}-${toBlock}`, () => findRegistrations(provider, {
+            address: config.contract.address,
+            wallets: [...new Set(items.map(item => item.account))],
+            hashes: lines.map(line => line.txHash).filter(Boolean),
+            fromBlock,
+            toBlock,
+            chunkBlocks: config.reconcile.chunkBlocks,
+        }));
+        report = reconcile(items, registrations);
+        logger.info(`${logger.EMOJIS.chain} Scanned blocks ${fromBlock}-${toBlock}: ${registrations.length} registration(s) by ${new Set(items.map(item => item.account)).size} wallet(s)`);
+    } catch (error) {
+        logger.error(`Reconciliation failed: ${error.message}`);
+        return 1;
+    }
 
-        // Both tasks completed
-        if (is_create_agent && is_create_request) {
-            logger.warn(`${logger.EMOJIS.trophy} All daily tasks already completed!`);
-            logger.info(`Next tasks available in: ${logger.countdown(secondsUntilNextTask)}`);
-        }
+    const problems = ['missing', 'duplicate', 'mismatched', 'unknown'].flatMap(problem =>
+        report[problem].map(row => ({
+            problem,
+            account: `${(row.account ?? row.from).slice(0, 6)}…${(row.account ?? row.from).slice(-4)}`,
+            kind: row.kind,
+            id: row.id,
+            name: row.name ?? '',
+            reason: row.reason,
+            tx: (row.txHashes ?? [row.hash]).join(' '),
+        }))
+    );
+    if (problems.length > 0) logger.table(problems);
+
+    const counts = Object.entries(report).map(([name, rows]) => `${rows.length} ${name}`).join(', ');
+    const failed = report.missing.length + report.duplicate.length + report.mismatched.length;
+    if (failed > 0) {
+        logger.error(`Reconciliation found problems: ${counts}`);
+        return 1;
+    }
+    logger.success(`${logger.EMOJIS.check} Ledger and chain agree: ${counts}`);
+    return 0;
+}
 
-        accountsStats[accountIndex].lastRun = new Date().toLocaleString();
-        accountsStats[accountIndex].cooldownSeconds = secondsUntilNextTask;
+// Load account keys, preferring encrypted keystores over plaintext .env entries
+async function loadAccounts() {
+    const { privateKeys, source } = await loadPrivateKeys(config.keystore);
+    PRIVATE_KEYS = privateKeys;
 
-        if (taskCompleted) {
-            logger.banner('✅ TASK COMPLETED SUCCESSFULLY', logger.COLORS.green);
+    if (source === 'keystore') {
+        logger.info(`${logger.EMOJIS.key} Loaded ${PRIVATE_KEYS.length} account(s) from keystores in ${config.keystore.dir}`);
+        if (parseEnvPrivateKeys().length > 0) {
+            logger.warn('.env still contains PRIVATE_KEY lines - they are ignored while keystores exist, remove them');
         }
-
-        return true;
-
-    } catch (error) {
-        logger.error(`Daily task execution failed: ${error.message}`);
-        logger.warn('Skipping this account...');
-        accountsStats[accountIndex].errors++;
-        return false;
+    } else if (PRIVATE_KEYS.length > 0) {
+        logger.warn('Private keys are read unencrypted from .env - run "node main.js convert" to move them into keystores');
     }
 }
 
-// Process single account completely
-async function processAccount(private_key, accountIndex, tokenData = null) {
-    logger.separator();
-    logger.info(`${logger.COLORS.cyan}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${logger.COLORS.reset}`);
-    logger.info(`${logger.COLORS.cyan}           PROCESSING ACCOUNT #${accountIndex + 1}/${PRIVATE_KEYS.length}${logger.COLORS.reset}`);
-    logger.info(`${logger.COLORS.cyan}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${logger.COLORS.reset}`);
-    logger.separator();
-
-    try {
-        // Authenticate if no token data
-        if (!tokenData) {
-            tokenData = await getToken(private_key, accountIndex);
-            if (!tokenData) {
-                logger.error(`❌ Account #${accountIndex + 1} authentication failed - SKIPPING`);
-                logger.separator();
-                return null;
-            }
-        } else {
-            // Check token validity
-            const isValid = await checkTokenValid(tokenData.token_expire_time);
-            if (!isValid) {
-                logger.info('Token expired, re-authenticating...');
-                tokenData = await getToken(private_key, accountIndex);
-                if (!tokenData) {
-                    logger.error(`❌ Account #${accountIndex + 1} re-authentication failed - SKIPPING`);
-                    logger.separator();
-                    return null;
-                }
-            }
-        }
+const COMMANDS = {
+    run,
+    once,
+    status,
+    account,
+    summary,
+    convert,
+    ledger,
+    reconcile: reconcileLedger,
+};
 
-        // Execute daily tasks
-        const taskResult = await executeDailyTasks(tokenData, accountIndex);
-        
-        if (!taskResult) {
-            logger.warn(`⚠️ Account #${accountIndex + 1} task execution failed - SKIPPING`);
-            logger.separator();
-            return tokenData; // Return token data for next cycle
-        }
+async function main() {
+    if (['help', '--help', '-h'].includes(COMMAND) || ARGS.includes('--help')) {
+        console.log(USAGE);
+        return 0;
+    }
 
-        // Refresh user data
-        const loader = logger.loading('Refreshing user data');
-        try {
-            const userData = await getUserData(tokenData.token);
-            logger.stopLoading(loader);
-
-            if (userData && userData.data) {
-                accountsStats[accountIndex].uid = userData.data.uid;
-                accountsStats[accountIndex].totalPoint = userData.data.total_point;
-                accountsStats[accountIndex].days = userData.data.days;
-                logger.success(`${logger.EMOJIS.check} User data refreshed`);
-                logger.info(`UID: ${logger.COLORS.yellow}${accountsStats[accountIndex].uid}${logger.COLORS.reset} | Points: ${logger.COLORS.yellow}${accountsStats[accountIndex].totalPoint}${logger.COLORS.reset} | Days: ${logger.COLORS.yellow}${accountsStats[accountIndex].days}${logger.COLORS.reset}`);
-            }
-        } catch (error) {
-            logger.stopLoading(loader);
-            logger.warn(`Failed to refresh user data: ${error.message}`);
-        }
+    const command = COMMANDS[COMMAND];
+    if (!command) {
+        logger.error(`Unknown command "${COMMAND}"`);
+        console.log(USAGE);
+        return 2;
+    }
 
-        logger.banner(`✅ ACCOUNT #${accountIndex + 1} COMPLETED`, logger.COLORS.green);
-        logger.separator();
+    // convert works on the plaintext keys, before any keystore is opened
+    if (command === convert) {
+        return convert();
+    }
 
-        return tokenData;
+    // summary, ledger and reconcile only read the state file, the ledger file and the chain
+    if (command === summary || command === ledger || command === reconcileLedger) {
+        return command(...ARGS);
+    }
 
+    try {
+        await loadAccounts();
     } catch (error) {
-        logger.error(`❌ Critical error processing account #${accountIndex + 1}: ${error.message}`);
-        logger.warn('SKIPPING to next account...');
-        accountsStats[accountIndex].errors++;
-        logger.separator();
-        return tokenData;
+        logger.error(error.message);
+        return 1;
     }
-}
-
-// Main loop
-async function main() {
-    showLogo();
-
-    logger.banner('🔥 SYSTEM INITIALIZED', logger.COLORS.green);
-    logger.info(`Start Time: ${new Date().toLocaleString()}`);
-    logger.info(`Mode: Sequential Processing (${WAIT_HOURS}h intervals)`);
-    logger.info(`Total Accounts: ${PRIVATE_KEYS.length}`);
-    logger.separator();
 
     if (PRIVATE_KEYS.length === 0) {
-        logger.error('No valid private keys found in .env file!');
-        logger.info('Please add PRIVATE_KEY entries in your .env file');
+        logger.error(`No keystores in ${config.keystore.dir} and no valid private keys in .env file!`);
+        logger.info('Please add PRIVATE_KEY entries in your .env file (then run "node main.js convert")');
         logger.info('Format:');
         logger.info('PRIVATE_KEY=0x...');
         logger.info('PRIVATE_KEY=0x...');
-        return;
+        return 1;
     }
 
-    // Initialize stats for each account
-    PRIVATE_KEYS.forEach((_, index) => {
-        accountsStats[index] = {
-            uid: null,
-            totalPoint: 0,
-            days: 0,
-            agents: 0,
-            requests: 0,
-            txs: 0,
-            errors: 0,
-            lastRun: null,
-            startTime: Date.now(),
-            cooldownSeconds: 0
-        };
-    });
-
-    // Store token data for each account
-    const tokenDataArray = new Array(PRIVATE_KEYS.length).fill(null);
+    // Initialize stats and sessions for each account, resuming from the state file
+    initAccounts(PRIVATE_KEYS, { dryRun: DRY_RUN });
 
-    let cycleCount = 0;
+    return command(...ARGS);
+}
 
-    while (true) {
-        try {
-            cycleCount++;
-            logger.banner(`🔄 CYCLE ${cycleCount} - SEQUENTIAL PROCESSING`, logger.COLORS.magenta);
-
-            // Process each account ONE BY ONE
-            for (let i = 0; i < PRIVATE_KEYS.length; i++) {
-                logger.info(`\n${logger.COLORS.yellow}>>> Starting Account #${i + 1}...${logger.COLORS.reset}\n`);
-                
-                tokenDataArray[i] = await processAccount(PRIVATE_KEYS[i], i, tokenDataArray[i]);
-                
-                // Wait before next account (except for last account)
-                if (i < PRIVATE_KEYS.length - 1) {
-                    logger.info(`${logger.COLORS.dim}⏳ Waiting 3 seconds before next account...${logger.COLORS.reset}\n`);
-                    await sleep(3000);
-                }
+let finishing = false;
+
+// Save state, show the final stats, deliver pending notifications and exit
+async function finish(code) {
+    if (finishing) return;
+    finishing = true;
+
+    // Final stats and errors belong on the normal screen
+    dashboard?.stop();
+    persistState();
+    if (isShuttingDown()) {
+        logger.info('\n📊 Final Statistics:');
+        for (let i = 0; i < PRIVATE_KEYS.length; i++) {
+            if (accountsStats[i]) {
+                logger.info(`Account #${i + 1}: ${accountsStats[i].agents} agents, ${accountsStats[i].requests} requests, ${accountsStats[i].txs} txs, ${accountsStats[i].errors} errors`);
             }
+        }
+        if (code === 0) logger.success('\n👋 Bot stopped gracefully. Goodbye!');
+    }
 
-            // Show summary for all accounts
-            logger.separator();
-            logger.banner('📊 ALL ACCOUNTS SUMMARY', logger.COLORS.blue);
-            
-            let totalAgents = 0;
-            let totalRequests = 0;
-            let totalTxs = 0;
-            let totalErrors = 0;
-            let totalPoints = 0;
-
-            for (let i = 0; i < PRIVATE_KEYS.length; i++) {
-                if (accountsStats[i]) {
-                    logger.info(`\n${logger.COLORS.cyan}Account #${i + 1}:${logger.COLORS.reset}`);
-                    logger.info(`  UID: ${accountsStats[i].uid || 'N/A'}`);
-                    logger.info(`  Points: ${accountsStats[i].totalPoint}`);
-                    logger.info(`  Days: ${accountsStats[i].days}`);
-                    logger.info(`  Agents: ${accountsStats[i].agents}`);
-                    logger.info(`  Requests: ${accountsStats[i].requests}`);
-                    logger.info(`  Blockchain TXs: ${accountsStats[i].txs}`);
-                    logger.info(`  Errors: ${accountsStats[i].errors}`);
-
-                    totalAgents += accountsStats[i].agents;
-                    totalRequests += accountsStats[i].requests;
-                    totalTxs += accountsStats[i].txs;
-                    totalErrors += accountsStats[i].errors;
-                    totalPoints += accountsStats[i].totalPoint;
-                }
-            }
+    // Let cycle summaries and alerts reach their webhooks before exiting
+    await getNotifier().flush();
+    logger.closeFiles();
+    process.exit(code);
+}
 
-            logger.separator();
-            logger.info(`${logger.COLORS.green}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${logger.COLORS.reset}`);
-            logger.info(`${logger.COLORS.green}                 TOTAL SUMMARY${logger.COLORS.reset}`);
-            logger.info(`${logger.COLORS.green}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${logger.COLORS.reset}`);
-            logger.info(`  🏆 Total Points: ${logger.COLORS.yellow}${totalPoints}${logger.COLORS.reset}`);
-            logger.info(`  🤖 Total Agents: ${logger.COLORS.yellow}${totalAgents}${logger.COLORS.reset}`);
-            logger.info(`  📋 Total Requests: ${logger.COLORS.yellow}${totalRequests}${logger.COLORS.reset}`);
-            logger.info(`  ⛓️  Total Blockchain TXs: ${logger.COLORS.yellow}${totalTxs}${logger.COLORS.reset}`);
-            logger.info(`  ⚠️  Total Errors: ${logger.COLORS.yellow}${totalErrors}${logger.COLORS.reset}`);
+// First signal: start nothing new, let the current platform call or transaction finish, then exit.
+// Second signal: exit at once.
+function onSignal(signal) {
+    if (isShuttingDown()) {
+        logger.error(`${signal} received again - exiting immediately, work in flight is abandoned`);
+        process.exit(SIGNAL_EXIT_CODES[signal]);
+    }
 
-            const runtime = Math.floor((Date.now() - accountsStats[0].startTime) / 1000 / 60);
-            logger.info(`\n  ⏱️  Total Runtime: ${logger.COLORS.cyan}${runtime} minutes${logger.COLORS.reset}`);
-            logger.info(`${logger.COLORS.green}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${logger.COLORS.reset}`);
+    const { timeoutMs } = config.shutdown;
+    logger.separator();
+    logger.banner('🚨 SHUTDOWN INITIATED', logger.COLORS.yellow);
+    requestShutdown(signal);
 
-            // Wait for next cycle
-            await countdownTimer(WAIT_HOURS);
+    const work = inFlightWork();
+    logger.info(work.length > 0
+        ? `Waiting up to ${timeoutMs / 1000}s for: ${work.join(', ')} (send ${signal} again to force)`
+        : 'No task in flight, stopping...');
 
-        } catch (error) {
-            logger.error(`❌ Critical error in main loop: ${error.message}`);
-            logger.warn('⚠️ Attempting recovery in 5 minutes...');
-            await sleep(300000);
-        }
-    }
+    setTimeout(() => {
+        logger.error(`Shutdown timed out after ${timeoutMs / 1000}s, still running: ${inFlightWork().join(', ') || 'unknown'}`);
+        finish(1);
+    }, timeoutMs).unref();
 }
 
-process.on('SIGINT', () => {
-    logger.separator();
-    logger.banner('🚨 SHUTDOWN INITIATED', logger.COLORS.yellow);
-    logger.info('Saving session data...');
-    
-    logger.info('\n📊 Final Statistics:');
-    for (let i = 0; i < PRIVATE_KEYS.length; i++) {
-        if (accountsStats[i]) {
-            logger.info(`Account #${i + 1}: ${accountsStats[i].agents} agents, ${accountsStats[i].requests} requests, ${accountsStats[i].txs} txs, ${accountsStats[i].errors} errors`);
-        }
-    }
-    
-    logger.success('\n👋 Bot stopped gracefully. Goodbye!');
-    process.exit(0);
-});
+// Never leave the terminal on the alternate screen, even on a forced exit
+process.on('exit', () => dashboard?.stop());
+process.on('SIGINT', onSignal);
+process.on('SIGTERM', onSignal);
 
-main().catch(error => {
+main().then(finish).catch(error => {
+    dashboard?.stop();
     logger.error(`Fatal error: ${error.message}`);
     process.exit(1);
 });
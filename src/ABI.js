@@ -1,3 +1,6 @@
+// Only the two registration functions the bot calls. The deployed contract's
+// events and views are not verified, so they are left out; reconcile.js decodes
+// these functions' calldata instead of relying on event layouts.
 export const CONTRACT_ABI = [
     // addNewRequest
     {
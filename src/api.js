@@ -1,114 +1,130 @@
 import axios from 'axios';
+import { AuthError, toApiError } from './errors.js';
+import { apiDuration } from './metrics.js';
 
-const API_URL = 'https://4bsc.ai/api';
+export const DEFAULT_API_URL = 'https://4bsc.ai/api';
+const INVITE_CODE = 'qUoMOQ';
 
-export async function getNonce(addr) {
-    try {
-        const response = await axios.post(`${API_URL}/front/login/wallet`, {
-            addr
-        });
-        return response.data;
-    } catch (error) {
-        console.error('Get nonce failed:', error);
-        return null;
+/**
+ * Client for the 4bsc.ai front API.
+ *
+ * transport is anything with an axios-style `request(config)` returning `{ data }`,
+ * so tests or a staging setup can swap the HTTP layer. The session token
+ * is kept on the instance after `login` and sent with every authenticated call.
+ */
+export class FourBscClient {
+    constructor({
+        baseUrl = DEFAULT_API_URL,
+        timeout = 30000,
+        headers = {},
+        transport = axios.create(),
+        inviteCode = INVITE_CODE,
+    } = {}) {
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.timeout = timeout;
+        this.headers = headers;
+        this.transport = transport;
+        this.inviteCode = inviteCode;
+        this.token = null;
     }
-}
 
-export async function login(addr, signature, nonce) {
-    try {
-        const response = await axios.post(`${API_URL}/front/login/auth_wallet`, {
-            addr,
-            signature,
-            nonce
-        });
-        return response.data;
-    } catch (error) {
-        console.error('Login failed:', error);
-        return null;
+    setToken(token) {
+        this.token = token ?? null;
     }
-}
 
-export async function setInviter(session_token) {
-    try {
-        const response = await axios.get(`${API_URL}/front/set/user/invite_by?invited_by=qUoMOQ`, {
-            headers: {
-                'authorization': `Bearer ${session_token}`
-            }
-        });
-        return response.data;
-    } catch (error) {
-        console.error('Set inviter failed:', error);
-        return null;
+    // Unwrap the response body, turning any failure into a typed error from errors.js
+    async request(action, { method = 'GET', path, params, data, auth = true }) {
+        if (auth && !this.token) {
+            throw new AuthError(`${action} failed: not logged in`);
+        }
+
+        const headers = { ...this.headers };
+        if (auth) {
+            headers['authorization'] = `Bearer ${this.token}`;
+        }
+
+        try {
+            const response = await apiDuration.time({ action }, () => this.transport.request({
+                method,
+                url: `${this.baseUrl}${path}`,
+                params,
+                data,
+                headers,
+                timeout: this.timeout,
+            }));
+            return response.data;
+        } catch (error) {
+            throw toApiError(error, action);
+        }
     }
-}
 
-export async function getUserData(session_token) {
-    try {
-        const response = await axios.get(`${API_URL}/front/get/finaltest/farm`, {
-            headers: {
-                'authorization': `Bearer ${session_token}`
-            }
+    async getNonce(addr) {
+        return this.request('Get nonce', {
+            method: 'POST',
+            path: '/front/login/wallet',
+            data: { addr },
+            auth: false,
         });
-        return response.data;
-    } catch (error) {
-        console.error('Get user data failed:', error);
-        return null;
     }
-}
 
-export async function verifyDailyTask(session_token, address) {
-    try {
-        const response = await axios.get(`${API_URL}/front/get/finaltest/verify_daily_task?address=${address}`, {
-            headers: {
-                'authorization': `Bearer ${session_token}`
-            }
+    // Stores the returned session token on success
+    async login(addr, signature, nonce) {
+        const response = await this.request('Login', {
+            method: 'POST',
+            path: '/front/login/auth_wallet',
+            data: { addr, signature, nonce },
+            auth: false,
         });
-        return response.data;
-    } catch (error) {
-        console.error('Verify daily task failed:', error);
-        console.error('Error details:', error.response?.data || error.message);
-        return null;
+        if (response?.data?.token) {
+            this.setToken(response.data.token);
+        }
+        return response;
     }
-}
 
-export async function createNewAgent(session_token, name, description) {
-    const payload = {
-        "name": name,
-        "tag": [0],
-        "description": description
-    }
-    try {
-        const response = await axios.post(`${API_URL}/front/create/repositories`, payload, {
-            headers: {
-                'authorization': `Bearer ${session_token}`
-            }
+    async setInviter() {
+        return this.request('Set inviter', {
+            path: '/front/set/user/invite_by',
+            params: { invited_by: this.inviteCode },
         });
-        return response.data;
     }
-    catch (error) {
-        console.error('Create new agent failed:', error);
-        console.error('Error details:', error.response?.data || error.message);
-        return null;
+
+    async getUserData() {
+        return this.request('Get user data', {
+            path: '/front/get/finaltest/farm',
+        });
     }
-}
 
-export async function createNewRequest(session_token, title, description) {
-    const payload = {
-        title,
-        "content": `[{\"children\":[{\"text\":\"${description}\"}],\"id\":\"Yu5ECs9eNB\",\"type\":\"p\"}]`,
-        "is_mobile": false
+    async verifyDailyTask(address) {
+        return this.request('Verify daily task', {
+            path: '/front/get/finaltest/verify_daily_task',
+            params: { address },
+        });
     }
-    try {
-        const response = await axios.post(`${API_URL}/front/create/request`, payload, {
-            headers: {
-                'authorization': `Bearer ${session_token}`
-            }
+
+    async createNewAgent(name, description) {
+        const payload = {
+            "name": name,
+            "tag": [0],
+            "description": description
+        };
+        return this.request('Create new agent', {
+            method: 'POST',
+            path: '/front/create/repositories',
+            data: payload,
         });
-        return response.data;
     }
-    catch (error) {
-        console.error('Create new request failed:', error);
-        console.error('Error details:', error.response?.data || error.message);
-        return null;
+
+    async createNewRequest(title, description) {
+        // Rich-text body in the format the platform editor produces
+        const payload = {
+            title,
+            "content": JSON.stringify([{ children: [{ text: description }], id: 'Yu5ECs9eNB', type: 'p' }]),
+            "is_mobile": false
+        };
+        return this.request('Create new request', {
+            method: 'POST',
+            path: '/front/create/request',
+            data: payload,
+        });
     }
 }
@@ -0,0 +1,1012 @@
+import { ethers, formatEther, formatUnits } from 'ethers';
+import { contractCall, estimateCallCost, getBalance, findTransaction, isTxSuccess, isContractRevert, checkRpcHealth } from './transactions.js';
+import { generateContent } from './chat.js';
+import { sign_with_private_key } from './auth.js';
+import logger from './logger.js';
+import { loadState, saveState, getAccountState } from './state.js';
+import { recordCreated, recordAttempt, recordRevert, markRegistered, pendingEntries } from './journal.js';
+import { appendLedger } from './ledger.js';
+import { isShuttingDown, interruptibleSleep, trackInFlight } from './shutdown.js';
+import { TokenManager } from './tokens.js';
+import { PHASES, setPhase, startCycle } from './status.js';
+import { AuthError, RateLimitError, isTransient, isUnprocessed } from './errors.js';
+import { FourBscClient } from './api.js';
+import { getConfig } from './config.js';
+import { registerSecret } from './redact.js';
+import { endpointLabel } from './rpc.js';
+import { notify } from './notify.js';
+import { cycleDuration, cyclesTotal, retriesTotal, registerCollector } from './metrics.js';
+
+// Placeholder platform ID used to simulate or estimate registrations before a real ID exists
+const PLACEHOLDER_ID = 0;
+
+// Worst-case sized arguments for the gas preflight
+const PLACEHOLDER_ARGS = {
+    addNewAgent: [PLACEHOLDER_ID, 'x'.repeat(32), 'x'.repeat(200)],
+    addNewRequest: [PLACEHOLDER_ID, 'x'.repeat(100)],
+};
+
+// Keys of the accounts this process handles, set by initAccounts()
+let PRIVATE_KEYS = [];
+
+// Dry run: log in and generate content, but only simulate platform and chain writes
+let DRY_RUN = false;
+
+// Stats per account
+export const accountsStats = {};
+
+// Token data per account
+export const tokenDataArray = [];
+
+// Persisted sessions/stats, loaded by initAccounts()
+let state = null;
+
+function newAccountStats() {
+    return {
+        uid: null,
+        totalPoint: 0,
+        days: 0,
+        agents: 0,
+        requests: 0,
+        txs: 0,
+        errors: 0,
+        lastRun: null,
+        startTime: Date.now(),
+        cooldownSeconds: 0,
+        cooldownEndTime: null,
+        gasSpent: '0',
+        txEndpoints: {},
+        skipReason: null,
+        lastStatus: null
+    };
+}
+
+// Saved stats on top of the defaults, so fields added since the file was written exist
+function restoredStats(saved) {
+    const stats = { ...newAccountStats(), ...saved };
+    // Older state files counted transactions by full RPC url, which may hold an API key
+    stats.txEndpoints = Object.fromEntries(Object.entries(stats.txEndpoints ?? {}).reduce((byLabel, [endpoint, count]) => {
+        const label = endpoint.includes('://') ? endpointLabel(endpoint) : endpoint;
+        byLabel.set(label, (byLabel.get(label) ?? 0) + count);
+        return byLabel;
+    }, new Map()));
+    return stats;
+}
+
+// Restore token data and stats saved by a previous run
+function restoreAccounts() {
+    const stateFile = getConfig().state.file;
+    state = loadState(stateFile);
+
+    PRIVATE_KEYS.forEach((key, index) => {
+        const saved = getAccountState(state, new ethers.Wallet(key).address);
+        accountsStats[index] = restoredStats(saved.stats);
+        tokenDataArray[index] = saved.session;
+        registerSecret(key);
+        registerSecret(saved.session?.token);
+    });
+
+    const restored = tokenDataArray.filter(Boolean).length;
+    if (restored > 0) {
+        logger.info(`${logger.EMOJIS.key} Restored ${restored} saved session(s) from ${stateFile}`);
+    }
+}
+
+// Set the accounts to process and resume their sessions/stats from the state file
+export function initAccounts(privateKeys, { dryRun = false } = {}) {
+    PRIVATE_KEYS = privateKeys;
+    DRY_RUN = dryRun;
+    tokenDataArray.length = 0;
+    for (const key of Object.keys(accountsStats)) {
+        delete accountsStats[key];
+    }
+    restoreAccounts();
+}
+
+// Write token data and stats of all accounts to the state file
+export function persistState() {
+    // A dry run must leave sessions, counters and the journal untouched
+    if (!state || DRY_RUN) return;
+
+    const stateFile = getConfig().state.file;
+    try {
+        PRIVATE_KEYS.forEach((key, index) => {
+            const saved = getAccountState(state, new ethers.Wallet(key).address);
+            saved.session = tokenDataArray[index] ?? null;
+            saved.stats = accountsStats[index] ?? null;
+        });
+        saveState(stateFile, state);
+    } catch (error) {
+        logger.error(`Failed to save state to ${stateFile}: ${error.message}`);
+    }
+}
+
+// Per-account gauges and counters for the metrics endpoint, read from accountsStats at scrape time
+registerCollector(() => {
+    const now = Math.floor(Date.now() / 1000);
+    const accounts = PRIVATE_KEYS.map((key, index) => ({
+        labels: { account: index + 1, address: new ethers.Wallet(key).address },
+        stats: accountsStats[index],
+    })).filter(account => account.stats);
+
+    const family = (name, help, type, value) => ({
+        name,
+        help,
+        type,
+        samples: accounts.map(({ labels, stats }) => ({ labels, value: value(stats) })),
+    });
+
+    return [
+        family('account_points', 'Platform points of the account.', 'gauge', stats => stats.totalPoint ?? 0),
+        family('account_days', 'Days the account completed its daily tasks.', 'gauge', stats => stats.days ?? 0),
+        family('account_agents_total', 'Agents created and registered on chain.', 'counter', stats => stats.agents),
+        family('account_requests_total', 'Requests created and registered on chain.', 'counter', stats => stats.requests),
+        family('account_txs_total', 'Successful on-chain registrations.', 'counter', stats => stats.txs),
+        family('account_errors_total', 'Errors while processing the account.', 'counter', stats => stats.errors),
+        family('account_cooldown_seconds', 'Seconds until the next daily tasks open.', 'gauge', stats => Math.max(0, (stats.cooldownEndTime ?? now) - now)),
+        family('account_gas_spent_bnb', 'BNB spent on gas by the bot.', 'counter', stats => Number(formatEther(stats.gasSpent))),
+        family('account_last_run_ok', '1 if the last run of the account succeeded, 0 if it failed.', 'gauge', stats => (stats.lastStatus === 'ok' ? 1 : 0)),
+    ];
+});
+
+export async function retryWithBackoff(fn, retries = getConfig().retry.maxRetries, delay = getConfig().retry.delayMs, canRetry = isTransient) {
+    for (let i = 0; i < retries; i++) {
+        try {
+            return await fn();
+        } catch (error) {
+            // By default only network errors, 5xx and rate limits are worth another attempt
+            if (!canRetry(error) || i === retries - 1 || isShuttingDown()) throw error;
+
+            retriesTotal.inc({ error: error.name });
+            let waitTime = delay * Math.pow(2, i);
+            if (error instanceof RateLimitError && error.retryAfter) {
+                waitTime = Math.max(waitTime, error.retryAfter);
+            }
+            logger.warn(`Attempt ${i + 1} failed (${error.message}), retrying in ${waitTime / 1000}s...`);
+            await sleep(waitTime);
+        }
+    }
+}
+
+// One API client per account, each holding its own session token
+function createApiClient(tokenData = null) {
+    const { api } = getConfig();
+    const client = new FourBscClient({ baseUrl: api.url, timeout: api.timeoutMs });
+    client.setToken(tokenData?.token);
+    return client;
+}
+
+function newSession(private_key, accountIndex, tokenData = null) {
+    return { private_key, accountIndex, tokenData, client: createApiClient(tokenData) };
+}
+
+// Make sure the session holds a token that stays valid for the whole run, logging in again when it does not
+async function authenticate(session) {
+    const tokens = new TokenManager({ refreshMarginSeconds: getConfig().auth.refreshMarginSeconds });
+
+    if (session.tokenData) {
+        const left = tokens.secondsLeft(session.tokenData);
+        if (tokens.isFresh(session.tokenData)) {
+            logger.success(`${logger.EMOJIS.check} Token is valid${left === null ? '' : ` for ${logger.countdown(left)}`}`);
+            return true;
+        }
+        logger.info(`${logger.EMOJIS.key} Token ${left > 0 ? 'expires within the refresh margin' : 'expired'}, re-authenticating...`);
+    }
+
+    session.tokenData = await getToken(session.client, session.private_key, session.accountIndex);
+    return Boolean(session.tokenData);
+}
+
+// Run an authenticated API call; if the session is rejected, log in again and repeat it once.
+// canRetry decides which other errors are retried, see retryWithBackoff.
+async function withSession(session, fn, { canRetry = isTransient } = {}) {
+    const { maxRetries, delayMs } = getConfig().retry;
+    try {
+        return await retryWithBackoff(() => fn(session.client), maxRetries, delayMs, canRetry);
+    } catch (error) {
+        if (!(error instanceof AuthError)) throw error;
+
+        logger.warn(`${logger.EMOJIS.key} Session rejected (${error.message}), re-authenticating...`);
+        const tokenData = await getToken(session.client, session.private_key, session.accountIndex);
+        if (!tokenData) throw error;
+
+        session.tokenData = tokenData;
+        return await retryWithBackoff(() => fn(session.client), maxRetries, delayMs, canRetry);
+    }
+}
+
+// Ends early when shutdown is requested
+export function sleep(ms) {
+    return interruptibleSleep(ms);
+}
+
+// Checked before starting new work; after a shutdown request only work already started is finished
+function stopRequested() {
+    if (!isShuttingDown()) return false;
+    logger.warn('Shutdown requested - not starting new work for this account');
+    return true;
+}
+
+
+// Get token
+async function getToken(client, private_key, accountIndex) {
+    logger.header(`AUTHENTICATION - ACCOUNT #${accountIndex + 1}`);
+
+    try {
+        if (!private_key) {
+            logger.error('Private key is not set!');
+            return null;
+        }
+
+        const address = new ethers.Wallet(private_key).address;
+        logger.info(`${logger.EMOJIS.wallet} Wallet Address: ${logger.COLORS.cyan}${address}${logger.COLORS.reset}`);
+
+        const message = await logger.withLoading('Fetching nonce', () => retryWithBackoff(() => client.getNonce(address)));
+
+        if (!message || !message.data) {
+            logger.error('Failed to get nonce');
+            return null;
+        }
+
+        const nonce = message.data.nonce;
+        logger.success(`${logger.EMOJIS.check} Nonce received: ${logger.COLORS.yellow}${nonce}${logger.COLORS.reset}`);
+
+        const loader2 = logger.loading('Signing message');
+        const { signature } = await sign_with_private_key(private_key, nonce);
+        registerSecret(signature);
+        logger.stopLoading(loader2);
+        logger.success(`${logger.EMOJIS.check} Message signed successfully`);
+
+        const loginResponse = await logger.withLoading('Authenticating', () => client.login(address, signature, nonce));
+
+        if (loginResponse && loginResponse.data && loginResponse.data.token) {
+            registerSecret(loginResponse.data.token);
+            logger.success(`${logger.EMOJIS.success} Login successful!`);
+
+            // The inviter only needs setting once per wallet; the state file remembers it across logins
+            const accountState = getAccountState(state, address);
+            if (accountState.inviterSet) {
+                logger.debug('Inviter already configured, skipping');
+            } else {
+                try {
+                    await logger.withLoading('Setting inviter', () => client.setInviter());
+                    accountState.inviterSet = true;
+                    logger.success(`${logger.EMOJIS.check} Inviter configured`);
+                } catch (error) {
+                    logger.warn(`Could not set inviter: ${error.message}`);
+                }
+            }
+
+            logger.separator();
+            return { ...loginResponse.data, address };
+        } else {
+            logger.error('Login failed - no session token received');
+            return null;
+        }
+
+    } catch (error) {
+        logger.error(`Authentication error: ${error.message}`);
+        return null;
+    }
+}
+
+// Add a line for a journal entry to the run ledger
+function recordLedger(address, entry, fields) {
+    const [, name, description] = entry.args;
+    appendLedger(getConfig().ledger.file, { account: address, kind: entry.kind, id: entry.id, name, description, ...fields });
+}
+
+// Send the on-chain registration for a journal entry, completing it once the receipt confirms it
+async function registerOnChain(entry, accountIndex, signer, address) {
+    if (DRY_RUN) {
+        return simulateRegistration(accountIndex, signer, address, entry.method, entry.args, `pending ${entry.kind} #${entry.id}`);
+    }
+
+    const stats = accountsStats[accountIndex];
+
+    // A transaction an earlier attempt gave up on may have been mined since; never register twice
+    let txResult = entry.txHashes?.length ? await findTransaction(entry.txHashes) : null;
+    if (txResult && isTxSuccess(txResult)) {
+        logger.info(`${logger.EMOJIS.chain} Earlier transaction ${txResult.hash} was mined after all`);
+    } else if (txResult?.status === 'unconfirmed') {
+        // Mined already: sending again would register twice, so only wait for more blocks
+        logger.info(`${logger.EMOJIS.chain} Earlier transaction ${txResult.hash} is mined but not yet confirmed`);
+    } else if (txResult?.status === 'pending') {
+        // It can still be mined: a second send could get both mined
+        logger.warn(`${logger.EMOJIS.chain} Earlier transaction ${txResult.hash} is still pending - not sending it again`);
+    } else {
+        setPhase(accountIndex, PHASES.WAITING_TX);
+        const loader = logger.loading('Registering on blockchain');
+        // Each hash is saved as soon as it is broadcast, so a crash or shutdown during the wait never sends twice
+        const onBroadcast = hash => {
+            entry.txHashes = [...(entry.txHashes ?? []), hash];
+            persistState();
+        };
+        txResult = await retryWithBackoff(() => contractCall(signer, address, entry.method, entry.args, { onBroadcast }));
+        logger.stopLoading(loader);
+
+        if (txResult) {
+            stats.gasSpent = (BigInt(stats.gasSpent) + txResult.fee).toString();
+            if (txResult.rpc) {
+                stats.txEndpoints[txResult.rpc] = (stats.txEndpoints[txResult.rpc] ?? 0) + 1;
+            }
+        }
+    }
+
+    if (isTxSuccess(txResult)) {
+        markRegistered(getAccountState(state, address), entry, txResult);
+        persistState();
+        recordLedger(address, entry, {
+            status: 'registered',
+            txHash: txResult.hash,
+            blockNumber: txResult.blockNumber,
+            gasCost: txResult.fee !== undefined ? formatEther(txResult.fee) : undefined,
+        });
+
+        logger.success(`${logger.EMOJIS.chain} Transaction successful!${txResult.status === 'replaced' ? ' (replacement)' : ''}`);
+        logger.info(`TX Hash: ${logger.COLORS.cyan}${txResult.hash}${logger.COLORS.reset}`);
+        if (txResult.rpc) logger.info(`RPC: ${txResult.rpc}`);
+        logger.info(`Gas: ${txResult.gasUsed} @ ${formatUnits(txResult.gasPrice, 'gwei')} gwei = ${logger.COLORS.yellow}${formatEther(txResult.fee)} BNB${logger.COLORS.reset}`);
+        stats[entry.kind === 'agent' ? 'agents' : 'requests']++;
+        stats.txs++;
+        logger.separator();
+        return true;
+    }
+
+    recordAttempt(entry, txResult ? `transaction ${txResult.status}` : 'transaction failed');
+    const abandoned = txResult?.status === 'reverted' && recordRevert(entry, getConfig().tx.maxReverts);
+    persistState();
+    recordLedger(address, entry, {
+        status: abandoned ? 'abandoned' : txResult?.status ?? 'failed',
+        txHash: txResult?.hash ?? undefined,
+        gasCost: txResult?.fee ? formatEther(txResult.fee) : undefined,
+    });
+    if (txResult) {
+        logger.error(`${logger.EMOJIS.chain} ${entry.method} ${txResult.status}${txResult.hash ? ` (${txResult.hash})` : ''}${txResult.error ? `: ${txResult.error}` : ''}`);
+    }
+    if (txResult?.status === 'reverted') {
+        notify('tx_reverted', {
+            title: `⛓️ Account #${accountIndex + 1}: ${entry.method} reverted`,
+            message: abandoned
+                ? `Registration of ${entry.kind} #${entry.id} reverted ${entry.reverts} times; it is abandoned and not retried.`
+                : `Registration of ${entry.kind} #${entry.id} reverted on chain; it stays in the journal and is retried next run.`,
+            fields: { address, tx: txResult.hash, fee: `${formatEther(txResult.fee)} BNB` },
+        });
+    }
+    if (abandoned) {
+        logger.error(`${logger.EMOJIS.chain} ${entry.method} for ID ${entry.id} reverted ${entry.reverts} times - abandoned, will not retry`);
+        return false;
+    }
+    logger.warn(`${logger.EMOJIS.chain} ${entry.method} for ID ${entry.id} not confirmed - kept in journal, will retry next run`);
+    return false;
+}
+
+// Dry run: estimate and statically call the registration, recording what it would cost.
+// New records have no platform ID yet: when the contract reverts for the placeholder the
+// outcome is unknown rather than a failure, since the real ID may well be accepted.
+// Any other error (RPC, no contract at the address, ABI mismatch) is a failure.
+async function simulateRegistration(accountIndex, signer, address, method, args, label) {
+    let result = null;
+    let error = null;
+    try {
+        result = await logger.withLoading('Simulating blockchain registration', () =>
+            contractCall(signer, address, method, args, { dryRun: true })
+        );
+    } catch (callError) {
+        error = callError;
+    }
+
+    let unknown = false;
+    if (error && args[0] === PLACEHOLDER_ID && isContractRevert(error)) {
+        result = await estimateCallCost(signer, method, args).catch(() => null);
+        unknown = Boolean(result);
+    }
+
+    const plan = { method, label, ok: Boolean(result) && !unknown, unknown, gasEstimate: null, cost: null };
+    if (result) {
+        plan.gasEstimate = result.gasEstimate.toString();
+        plan.cost = result.cost.toString();
+    }
+    if (plan.ok) {
+        logger.info(`${logger.EMOJIS.chain} DRY RUN: ${method} for ${label} would use ~${plan.gasEstimate} gas (${formatEther(result.cost)} BNB)`);
+    } else if (unknown) {
+        logger.warn(`${logger.EMOJIS.chain} DRY RUN: contract rejected placeholder ID ${PLACEHOLDER_ID} for ${method}; outcome with the real ID unknown, ~${plan.gasEstimate} gas (${formatEther(result.cost)} BNB)`);
+    } else {
+        logger.warn(`${logger.EMOJIS.chain} DRY RUN: ${method} for ${label} would fail on chain${error ? `: ${error.shortMessage ?? error.message}` : ''}`);
+    }
+
+    accountsStats[accountIndex].planned ??= [];
+    accountsStats[accountIndex].planned.push(plan);
+    return plan.ok || plan.unknown;
+}
+
+// Preflight: make sure the wallet can pay for every registration this run is going to send
+async function checkGasBalance(accountIndex, signer, address, methods) {
+    if (methods.length === 0) return true;
+
+    const [balance, ...estimates] = await logger.withLoading('Checking gas balance', () => Promise.all([
+        getBalance(address),
+        ...methods.map(method => estimateCallCost(signer, method, PLACEHOLDER_ARGS[method]))
+    ]));
+    // Keep a margin over the estimate to absorb gas price moves
+    const margin = BigInt(getConfig().tx.gasMarginPercent);
+    const needed = estimates.reduce((sum, estimate) => sum + estimate.cost, 0n) * margin / 100n;
+
+    if (balance < needed) {
+        const reason = `insufficient gas: balance ${formatEther(balance)} BNB, needs ~${formatEther(needed)} BNB for ${methods.join(' + ')}`;
+        accountsStats[accountIndex].skipReason = reason;
+        logger.error(`${logger.EMOJIS.wallet} ${reason}`);
+        notify('low_gas', {
+            title: `⛽ Account #${accountIndex + 1}: low gas balance`,
+            message: 'The account was skipped until it is topped up.',
+            fields: { address, balance: `${formatEther(balance)} BNB`, needed: `${formatEther(needed)} BNB` },
+        });
+        return false;
+    }
+
+    logger.success(`${logger.EMOJIS.wallet} Gas balance OK: ${formatEther(balance)} BNB (needs ~${formatEther(needed)} BNB)`);
+    return true;
+}
+
+// Retry registrations whose platform record was created in an earlier run
+async function resumePendingRegistrations(accountIndex, signer, address) {
+    const pending = pendingEntries(getAccountState(state, address));
+    if (pending.length === 0) return;
+
+    logger.warn(`${logger.EMOJIS.chain} ${pending.length} platform record(s) still waiting for on-chain registration`);
+    for (const entry of pending) {
+        logger.info(`Resuming ${entry.method} for ${entry.kind} ID ${logger.COLORS.yellow}${entry.id}${logger.COLORS.reset}`);
+        await registerOnChain(entry, accountIndex, signer, address);
+    }
+}
+
+// Create agent
+async function createAgent(session, signer) {
+    const { accountIndex } = session;
+    const address = session.tokenData.address;
+    logger.header(`CREATING AGENT - ACCOUNT #${accountIndex + 1}`);
+
+    try {
+        setPhase(accountIndex, PHASES.GENERATING);
+        const agent = await logger.withLoading('Generating AI agent data', () => generateContent('createAgent'));
+
+        if (!agent) {
+            logger.error('Invalid agent data generated');
+            accountsStats[accountIndex].errors++;
+            return false;
+        }
+
+        const { name_agent, description } = agent;
+
+        logger.box(
+            `Name: ${name_agent}\nDescription: ${description}`,
+            logger.COLORS.green
+        );
+
+        // Content generation can take a while; do not create anything once shutdown was requested
+        if (stopRequested()) return false;
+
+        if (DRY_RUN) {
+            logger.info(`${logger.EMOJIS.info} DRY RUN: skipping agent creation on platform`);
+            return await simulateRegistration(accountIndex, signer, address, 'addNewAgent', [PLACEHOLDER_ID, name_agent, description], `agent "${name_agent}"`);
+        }
+
+        setPhase(accountIndex, PHASES.CREATING);
+        // A create that timed out may have created the agent already, so it is only retried when it was surely not processed
+        const agentResponse = await logger.withLoading('Creating agent on platform', () =>
+            withSession(session, client => client.createNewAgent(name_agent, description), { canRetry: isUnprocessed })
+        );
+
+        if (!agentResponse || !agentResponse.data) {
+            logger.error('Failed to create agent on platform');
+            return false;
+        }
+
+        const agentID = agentResponse.data?.id;
+
+        if (agentID) {
+            logger.success(`${logger.EMOJIS.robot} Agent created with ID: ${logger.COLORS.yellow}${agentID}${logger.COLORS.reset}`);
+
+            const entry = recordCreated(getAccountState(state, address), {
+                kind: 'agent',
+                id: agentID,
+                method: 'addNewAgent',
+                args: [agentID, name_agent, description],
+            });
+            persistState();
+            recordLedger(address, entry, { status: 'created' });
+
+            return await registerOnChain(entry, accountIndex, signer, address);
+        }
+
+        return false;
+    } catch (error) {
+        logger.error(`Agent creation failed: ${error.message}`);
+        accountsStats[accountIndex].errors++;
+        return false;
+    }
+}
+
+// Create request
+async function createRequest(session, signer) {
+    const { accountIndex } = session;
+    const address = session.tokenData.address;
+    logger.header(`CREATING REQUEST - ACCOUNT #${accountIndex + 1}`);
+
+    try {
+        setPhase(accountIndex, PHASES.GENERATING);
+        const request = await logger.withLoading('Generating AI request data', () => generateContent('createRequest'));
+
+        if (!request) {
+            logger.error('Invalid request data generated');
+            accountsStats[accountIndex].errors++;
+            return false;
+        }
+
+        const { title, description } = request;
+
+        logger.box(
+            `Title: ${title}\nDescription: ${description}`,
+            logger.COLORS.blue
+        );
+
+        if (stopRequested()) return false;
+
+        if (DRY_RUN) {
+            logger.info(`${logger.EMOJIS.info} DRY RUN: skipping request creation on platform`);
+            return await simulateRegistration(accountIndex, signer, address, 'addNewRequest', [PLACEHOLDER_ID, title], `request "${title}"`);
+        }
+
+        setPhase(accountIndex, PHASES.CREATING);
+        const requestResponse = await logger.withLoading('Creating request on platform', () =>
+            withSession(session, client => client.createNewRequest(title, description), { canRetry: isUnprocessed })
+        );
+
+        if (!requestResponse || !requestResponse.data) {
+            logger.error('Failed to create request on platform');
+            return false;
+        }
+
+        const requestID = requestResponse.data?.id;
+
+        if (requestID) {
+            logger.success(`${logger.EMOJIS.success} Request created with ID: ${logger.COLORS.yellow}${requestID}${logger.COLORS.reset}`);
+
+            const entry = recordCreated(getAccountState(state, address), {
+                kind: 'request',
+                id: requestID,
+                method: 'addNewRequest',
+                args: [requestID, title],
+            });
+            persistState();
+            recordLedger(address, entry, { description, status: 'created' });
+
+            return await registerOnChain(entry, accountIndex, signer, address);
+        }
+
+        return false;
+    } catch (error) {
+        logger.error(`Request creation failed: ${error.message}`);
+        accountsStats[accountIndex].errors++;
+        return false;
+    }
+}
+
+// Execute daily tasks for one account
+export async function executeDailyTasks(session, signer) {
+    const { accountIndex } = session;
+    logger.banner(`🚀 STARTING DAILY TASK - ACCOUNT #${accountIndex + 1}`, logger.COLORS.cyan);
+
+    try {
+        const address = session.tokenData.address;
+
+        logger.info(`${logger.EMOJIS.info} Checking daily task status...`);
+        const dailyTaskResponse = await logger.withContext({ task: 'daily' }, () => withSession(session, client => client.verifyDailyTask(address)));
+
+        // Validasi response
+        if (!dailyTaskResponse || !dailyTaskResponse.data) {
+            logger.error('Invalid response from daily task verification');
+            logger.warn('Skipping this account...');
+            return false;
+        }
+
+        const { is_create_agent, is_create_request, finish_time } = dailyTaskResponse.data;
+        
+        // Validasi property
+        if (typeof is_create_agent === 'undefined' || typeof is_create_request === 'undefined') {
+            logger.error('Missing required properties in response');
+            logger.warn('Skipping this account...');
+            return false;
+        }
+
+        const now = Math.floor(Date.now() / 1000);
+        const cooldownEndTime = finish_time + (24 * 60 * 60);
+        const secondsUntilNextTask = cooldownEndTime - now;
+
+        // Check gas for everything this run will register before creating anything
+        const methods = pendingEntries(getAccountState(state, address)).map(entry => entry.method);
+        if (!is_create_agent) methods.push('addNewAgent');
+        if (!is_create_request) methods.push('addNewRequest');
+
+        if (!(await logger.withContext({ task: 'gas' }, () => checkGasBalance(accountIndex, signer, address, methods)))) {
+            logger.warn('Skipping this account...');
+            return false;
+        }
+
+        // An account stopped by shutdown counts as unfinished, so the next start picks it up again
+        if (stopRequested()) return false;
+
+        // Finish registrations left over from earlier runs before creating anything new
+        await logger.withContext({ task: 'resume' }, () =>
+            trackInFlight(`account #${accountIndex + 1} pending registrations`, () => resumePendingRegistrations(accountIndex, signer, address))
+        );
+
+        let taskCompleted = false;
+
+        // Process agent task
+        if (!is_create_agent) {
+            if (stopRequested()) return false;
+            logger.info(`${logger.EMOJIS.robot} Agent task available - proceeding...`);
+            const agentResult = await logger.withContext({ task: 'agent' }, () =>
+                trackInFlight(`account #${accountIndex + 1} agent`, () => createAgent(session, signer))
+            );
+            if (agentResult) taskCompleted = true;
+        } else {
+            logger.info(`${logger.EMOJIS.check} Agent task already completed`);
+        }
+
+        // Process request task
+        if (!is_create_request) {
+            if (stopRequested()) return false;
+            logger.info(`${logger.EMOJIS.info} Request task available - proceeding...`);
+            const requestResult = await logger.withContext({ task: 'request' }, () =>
+                trackInFlight(`account #${accountIndex + 1} request`, () => createRequest(session, signer))
+            );
+            if (requestResult) taskCompleted = true;
+        } else {
+            logger.info(`${logger.EMOJIS.check} Request task already completed`);
+        }
+
+        // Both tasks completed
+        if (is_create_agent && is_create_request) {
+            logger.warn(`${logger.EMOJIS.trophy} All daily tasks already completed!`);
+            logger.info(`Next tasks available in: ${logger.countdown(secondsUntilNextTask)}`);
+        }
+
+        accountsStats[accountIndex].lastRun = new Date().toLocaleString();
+        accountsStats[accountIndex].cooldownSeconds = secondsUntilNextTask;
+        accountsStats[accountIndex].cooldownEndTime = cooldownEndTime;
+
+        if (taskCompleted) {
+            logger.banner('✅ TASK COMPLETED SUCCESSFULLY', logger.COLORS.green);
+        }
+
+        return true;
+
+    } catch (error) {
+        logger.error(`Daily task execution failed: ${error.message}`);
+        logger.warn('Skipping this account...');
+        accountsStats[accountIndex].errors++;
+        return false;
+    }
+}
+
+// Process single account completely
+export async function processAccount(private_key, accountIndex, tokenData = null) {
+    logger.separator();
+    logger.info(`${logger.COLORS.cyan}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${logger.COLORS.reset}`);
+    logger.info(`${logger.COLORS.cyan}           PROCESSING ACCOUNT #${accountIndex + 1}/${PRIVATE_KEYS.length}${logger.COLORS.reset}`);
+    logger.info(`${logger.COLORS.cyan}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${logger.COLORS.reset}`);
+    logger.separator();
+
+    accountsStats[accountIndex].skipReason = null;
+    accountsStats[accountIndex].lastStatus = 'failed';
+
+    // Shared by every API call of this account so a re-login mid-cycle is picked up everywhere
+    const session = newSession(private_key, accountIndex, tokenData);
+
+    try {
+        // Every on-chain registration of this account is signed with its own key
+        const signer = new ethers.Wallet(private_key);
+
+        setPhase(accountIndex, PHASES.AUTHENTICATING);
+        if (!(await logger.withContext({ task: 'auth' }, () => authenticate(session)))) {
+            logger.error(`❌ Account #${accountIndex + 1} authentication failed - SKIPPING`);
+            notify('auth_failed', {
+                title: `🔑 Account #${accountIndex + 1}: authentication failed`,
+                message: 'Login to the 4bsc API failed; the account was skipped.',
+                fields: { address: signer.address },
+            });
+            logger.separator();
+            return session.tokenData;
+        }
+
+        // Execute daily tasks
+        setPhase(accountIndex, PHASES.CHECKING);
+        const taskResult = await executeDailyTasks(session, signer);
+        
+        if (!taskResult) {
+            logger.warn(`⚠️ Account #${accountIndex + 1} task execution failed - SKIPPING`);
+            logger.separator();
+            return session.tokenData; // Return token data for next cycle
+        }
+
+        // Refresh user data
+        try {
+            const userData = await logger.withLoading('Refreshing user data', () =>
+                withSession(session, client => client.getUserData())
+            );
+
+            if (userData && userData.data) {
+                accountsStats[accountIndex].uid = userData.data.uid;
+                accountsStats[accountIndex].totalPoint = userData.data.total_point;
+                accountsStats[accountIndex].days = userData.data.days;
+                logger.success(`${logger.EMOJIS.check} User data refreshed`);
+                logger.info(`UID: ${logger.COLORS.yellow}${accountsStats[accountIndex].uid}${logger.COLORS.reset} | Points: ${logger.COLORS.yellow}${accountsStats[accountIndex].totalPoint}${logger.COLORS.reset} | Days: ${logger.COLORS.yellow}${accountsStats[accountIndex].days}${logger.COLORS.reset}`);
+            }
+        } catch (error) {
+            logger.warn(`Failed to refresh user data: ${error.message}`);
+        }
+
+        accountsStats[accountIndex].lastStatus = 'ok';
+        logger.banner(`✅ ACCOUNT #${accountIndex + 1} COMPLETED`, logger.COLORS.green);
+        logger.separator();
+
+        return session.tokenData;
+
+    } catch (error) {
+        logger.error(`❌ Critical error processing account #${accountIndex + 1}: ${error.message}`);
+        logger.warn('SKIPPING to next account...');
+        accountsStats[accountIndex].errors++;
+        logger.separator();
+        return session.tokenData;
+    }
+}
+
+// Check every RPC endpoint and print their health
+export async function showRpcHealth() {
+    try {
+        const endpoints = await logger.withLoading('Checking RPC endpoints', () => checkRpcHealth());
+        logger.table(endpoints.map(endpoint => ({
+            endpoint: endpoint.label,
+            healthy: endpoint.healthy,
+            block: endpoint.blockNumber,
+            latencyMs: endpoint.latency,
+            issue: endpoint.reason ?? '',
+        })));
+        if (!endpoints.some(endpoint => endpoint.healthy)) {
+            logger.warn('No healthy RPC endpoint - transactions will likely fail');
+        }
+    } catch (error) {
+        logger.warn(`RPC health check failed: ${error.message}`);
+    }
+}
+
+// Wallet address of every loaded account, by index
+export function accountAddresses() {
+    return PRIVATE_KEYS.map(key => new ethers.Wallet(key).address);
+}
+
+// Indexes of every loaded account
+function allAccounts() {
+    return PRIVATE_KEYS.map((_, index) => index);
+}
+
+// Process every account (or only the given indexes) once, then print the summary.
+// Returns the indexes of the accounts that failed, including those a shutdown kept from starting.
+export async function runCycle(cycleCount, accounts = allAccounts()) {
+    logger.banner(`🔄 CYCLE ${cycleCount} - SEQUENTIAL PROCESSING`, logger.COLORS.magenta);
+    const { accountDelayMs } = getConfig().schedule;
+    const started = Date.now();
+    startCycle(cycleCount, accounts);
+
+    const processed = [];
+    let unstarted = [];
+
+    // Process each account ONE BY ONE
+    for (const [position, i] of accounts.entries()) {
+        if (isShuttingDown()) {
+            unstarted = accounts.slice(position);
+            logger.warn(`Shutdown requested - ${unstarted.length} account(s) not started this cycle`);
+            break;
+        }
+
+        logger.info(`\n${logger.COLORS.yellow}>>> Starting Account #${i + 1}...${logger.COLORS.reset}\n`);
+
+        // Every line logged for this account carries its index, address and the cycle
+        const address = new ethers.Wallet(PRIVATE_KEYS[i]).address;
+        tokenDataArray[i] = await logger.withContext({ cycle: cycleCount, account: i + 1, address }, () =>
+            processAccount(PRIVATE_KEYS[i], i, tokenDataArray[i])
+        );
+        setPhase(i, accountsStats[i].lastStatus === 'ok' ? PHASES.DONE : PHASES.FAILED);
+        persistState();
+        processed.push(i);
+
+        // Wait before next account (except for last account)
+        if (position < accounts.length - 1 && !isShuttingDown()) {
+            logger.info(`${logger.COLORS.dim}⏳ Waiting ${accountDelayMs / 1000} seconds before next account...${logger.COLORS.reset}\n`);
+            await sleep(accountDelayMs);
+        }
+    }
+
+    cyclesTotal.inc();
+    cycleDuration.observe({}, (Date.now() - started) / 1000);
+
+    printSummary(accounts);
+    notify('summary', cycleSummary(cycleCount, accounts));
+    return [...processed.filter(i => accountsStats[i].lastStatus !== 'ok'), ...unstarted];
+}
+
+// The summary of a cycle as a notification
+function cycleSummary(cycleCount, accounts) {
+    const lines = [];
+    const totals = { points: 0, agents: 0, requests: 0, txs: 0, errors: 0, gas: 0n, failed: 0 };
+
+    for (const i of accounts) {
+        const stats = accountsStats[i];
+        lines.push(`#${i + 1}: ${stats.totalPoint} pts, ${stats.agents} agents, ${stats.requests} requests, ${stats.txs} txs, ${stats.errors} errors - ${stats.skipReason ?? stats.lastStatus ?? 'not run'}`);
+        totals.points += stats.totalPoint;
+        totals.agents += stats.agents;
+        totals.requests += stats.requests;
+        totals.txs += stats.txs;
+        totals.errors += stats.errors;
+        totals.gas += BigInt(stats.gasSpent);
+        if (stats.lastStatus !== 'ok') totals.failed++;
+    }
+
+    return {
+        title: `📊 ALL ACCOUNTS SUMMARY - cycle ${cycleCount}`,
+        message: lines.join('\n'),
+        fields: {
+            'Total Points': totals.points,
+            'Total Agents': totals.agents,
+            'Total Requests': totals.requests,
+            'Total TXs': totals.txs,
+            'Total Errors': totals.errors,
+            'Total Gas Spent': `${formatEther(totals.gas)} BNB`,
+            'Failed Accounts': `${totals.failed}/${accounts.length}`,
+        },
+    };
+}
+
+// Log in where needed and print daily task status and user data of every account, without doing any task.
+// Returns the indexes of the accounts whose status could not be read.
+export async function showStatus(accounts = allAccounts()) {
+    const rows = [];
+    const failed = [];
+
+    for (const i of accounts) {
+        const session = newSession(PRIVATE_KEYS[i], i, tokenDataArray[i]);
+        const row = { account: `#${i + 1}`, address: new ethers.Wallet(PRIVATE_KEYS[i]).address };
+
+        try {
+            const [daily, user] = await logger.withContext({ account: i + 1, address: row.address, task: 'status' }, async () => {
+                if (!(await authenticate(session))) throw new Error('authentication failed');
+                tokenDataArray[i] = session.tokenData;
+
+                return Promise.all([
+                    withSession(session, client => client.verifyDailyTask(row.address)),
+                    withSession(session, client => client.getUserData()),
+                ]);
+            });
+
+            const { is_create_agent, is_create_request, finish_time } = daily?.data ?? {};
+            Object.assign(row, {
+                uid: user?.data?.uid ?? 'N/A',
+                points: user?.data?.total_point ?? 'N/A',
+                days: user?.data?.days ?? 'N/A',
+                agent: is_create_agent ? 'done' : 'open',
+                request: is_create_request ? 'done' : 'open',
+                nextReset: finish_time ? new Date((finish_time + 24 * 60 * 60) * 1000).toLocaleString() : 'N/A',
+            });
+        } catch (error) {
+            row.error = error.message;
+            failed.push(i);
+        }
+
+        rows.push(row);
+    }
+
+    persistState();
+    logger.banner('📋 ACCOUNT STATUS', logger.COLORS.blue);
+    logger.table(rows);
+    return failed;
+}
+
+// Per-account stats and the totals; rows are { title, stats }
+function printStatsSummary(rows) {
+    logger.separator();
+    logger.banner('📊 ALL ACCOUNTS SUMMARY', logger.COLORS.blue);
+    
+    let totalAgents = 0;
+    let totalRequests = 0;
+    let totalTxs = 0;
+    let totalErrors = 0;
+    let totalPoints = 0;
+    let totalPlannedCost = 0n;
+    let totalGasSpent = 0n;
+
+    for (const { title, stats } of rows) {
+        logger.info(`\n${logger.COLORS.cyan}${title}:${logger.COLORS.reset}`);
+        logger.info(`  UID: ${stats.uid || 'N/A'}`);
+        logger.info(`  Points: ${stats.totalPoint}`);
+        logger.info(`  Days: ${stats.days}`);
+        logger.info(`  Agents: ${stats.agents}`);
+        logger.info(`  Requests: ${stats.requests}`);
+        logger.info(`  Blockchain TXs: ${stats.txs}`);
+        logger.info(`  Errors: ${stats.errors}`);
+        logger.info(`  Gas Spent: ${formatEther(stats.gasSpent)} BNB`);
+        const endpoints = Object.entries(stats.txEndpoints);
+        if (endpoints.length > 0) {
+            logger.info(`  RPC Endpoints: ${endpoints.map(([endpoint, count]) => `${endpoint} ×${count}`).join(', ')}`);
+        }
+        if (stats.lastStatus) {
+            logger.info(`  Last Run: ${stats.lastRun ?? 'N/A'} (${stats.lastStatus})`);
+        }
+        if (stats.skipReason) {
+            logger.info(`  Skipped: ${logger.COLORS.yellow}${stats.skipReason}${logger.COLORS.reset}`);
+        }
+
+        if (DRY_RUN) {
+            const planned = stats.planned ?? [];
+            if (planned.length === 0) {
+                logger.info(`  Would do: nothing`);
+            }
+            for (const plan of planned) {
+                const cost = plan.cost ? `~${plan.gasEstimate} gas, ${formatEther(plan.cost)} BNB` : '';
+                const outcome = plan.ok
+                    ? cost
+                    : plan.unknown
+                        ? `UNKNOWN - placeholder ID ${PLACEHOLDER_ID} rejected, the real ID is only known after creation; ${cost}`
+                        : 'would FAIL';
+                logger.info(`  Would do: ${plan.method} ${plan.label} (${outcome})`);
+                if (plan.cost) totalPlannedCost += BigInt(plan.cost);
+            }
+        }
+
+        totalAgents += stats.agents;
+        totalRequests += stats.requests;
+        totalTxs += stats.txs;
+        totalErrors += stats.errors;
+        totalPoints += stats.totalPoint;
+        totalGasSpent += BigInt(stats.gasSpent);
+    }
+
+    logger.separator();
+    logger.info(`${logger.COLORS.green}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${logger.COLORS.reset}`);
+    logger.info(`${logger.COLORS.green}                 TOTAL SUMMARY${logger.COLORS.reset}`);
+    logger.info(`${logger.COLORS.green}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${logger.COLORS.reset}`);
+    logger.info(`  🏆 Total Points: ${logger.COLORS.yellow}${totalPoints}${logger.COLORS.reset}`);
+    logger.info(`  🤖 Total Agents: ${logger.COLORS.yellow}${totalAgents}${logger.COLORS.reset}`);
+    logger.info(`  📋 Total Requests: ${logger.COLORS.yellow}${totalRequests}${logger.COLORS.reset}`);
+    logger.info(`  ⛓️  Total Blockchain TXs: ${logger.COLORS.yellow}${totalTxs}${logger.COLORS.reset}`);
+    logger.info(`  ⚠️  Total Errors: ${logger.COLORS.yellow}${totalErrors}${logger.COLORS.reset}`);
+    logger.info(`  ⛽ Total Gas Spent: ${logger.COLORS.yellow}${formatEther(totalGasSpent)} BNB${logger.COLORS.reset}`);
+    if (DRY_RUN) {
+        logger.info(`  💸 Estimated Cost (dry run): ${logger.COLORS.yellow}${formatEther(totalPlannedCost)} BNB${logger.COLORS.reset}`);
+    }
+
+    const runtime = Math.floor((Date.now() - rows[0].stats.startTime) / 1000 / 60);
+    logger.info(`\n  ⏱️  Total Runtime: ${logger.COLORS.cyan}${runtime} minutes${logger.COLORS.reset}`);
+    logger.info(`${logger.COLORS.green}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${logger.COLORS.reset}`);
+}
+
+// Show summary for all accounts (or only the given indexes)
+export function printSummary(accounts = allAccounts()) {
+    printStatsSummary(accounts.filter(i => accountsStats[i]).map(i => ({ title: `Account #${i + 1}`, stats: accountsStats[i] })));
+}
+
+// Stats the last run saved to the state file, by wallet address; needs no keys and no network.
+// Returns false when there is nothing saved yet.
+export function printSavedSummary(stateFile) {
+    const state = loadState(stateFile);
+    const saved = Object.values(state.accounts).filter(account => account.stats);
+    if (saved.length === 0) {
+        logger.warn(`No saved stats in ${stateFile} - run the bot first`);
+        return false;
+    }
+
+    logger.info(`Stats saved at ${state.savedAt ? new Date(state.savedAt).toLocaleString() : 'an unknown time'} in ${stateFile}`);
+    printStatsSummary(saved.map(account => ({ title: `Account ${account.address}`, stats: restoredStats(account.stats) })));
+    return true;
+}
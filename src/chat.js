@@ -1,6 +1,6 @@
-import axios from 'axios';
-import dotenv from 'dotenv';
-dotenv.config();
+import { getConfig } from './config.js';
+import { createProviders } from './llm.js';
+import logger from './logger.js';
 
 
 const agent = `You are an AI agent generator.
@@ -22,49 +22,136 @@ The JSON schema must be exactly:
   "description": string 120 – 200 characters
 }
 `;
+
+// The schemas the system prompts ask for: field -> check returning a problem or null
+const SCHEMAS = {
+    createAgent: {
+        name_agent: value => (/\s/.test(value) ? 'must not contain spaces' : null),
+        description: value => lengthProblem(value, 120, 200),
+    },
+    createRequest: {
+        title: value => (/\s/.test(value) ? null : 'must contain spaces'),
+        description: value => lengthProblem(value, 120, 200),
+    },
+};
+
+function lengthProblem(value, min, max) {
+    return value.length < min || value.length > max ? `must be ${min}-${max} characters, got ${value.length}` : null;
+}
+
+let providers = null;
+
+// Providers from the config, created once so the template provider keeps counting
+function getProviders() {
+    providers ??= createProviders(getConfig().llm);
+    return providers;
+}
+
+// Text from the first provider that answers, or null when every provider failed
 export async function generateAIResponse(prompt, systemPrompt) {
-    const options = {
-        method: 'POST',
-        url: 'https://gen.pollinations.ai/v1/chat/completions',
-        headers: {
-            'Content-Type': 'application/json',
-            Authorization: `Bearer ${process.env.API_KEY}`
-        },
-        data: {
-            messages: [
-                {
-                    role: "system",
-                    name: "system",
-                    content: systemPrompt === 'createAgent' ? agent : requestAgent,
-                    cache_control: {
-                        type: "ephemeral",
-                    },
-                },
-                {
-                    role: "user",
-                    content: prompt || "hi",
-                },
-            ],
-            model: 'nova-fast',
-            response_format: { type: 'text' },
-            seed: -1,
-            stop: '',
-            stream: false,
-            thinking: { type: 'disabled', budget_tokens: 1 },
-            temperature: 0.8,
-            top_p: 1,
-            user: '',
-        }
+    const request = {
+        kind: systemPrompt,
+        system: systemPrompt === 'createAgent' ? agent : requestAgent,
+        prompt: prompt || "hi",
     };
-    try {
-        const { data } = await axios.request(options);
-        const responseContent = data.choices?.[0]?.message?.content ?? "";
-        //console.log(responseContent);
-        return responseContent;
-    } catch (error) {
-        console.error(error.response ? error.response.data : error.message);
-        return null;
+
+    const list = getProviders();
+    for (const [i, provider] of list.entries()) {
+        try {
+            return await provider.complete(request);
+        } catch (error) {
+            const next = list[i + 1];
+            logger.warn(next ? `${error.message}, falling back to ${next.name}` : error.message);
+        }
+    }
+
+    logger.error('Every content provider failed');
+    return null;
+}
+
+// First JSON object in model output, ignoring code fences and chatter around it; null if there is none
+export function extractJson(text) {
+    if (typeof text !== 'string') return null;
+    const unfenced = text.replace(/```(?:json)?/gi, '');
+
+    for (let start = unfenced.indexOf('{'); start !== -1; start = unfenced.indexOf('{', start + 1)) {
+        let depth = 0;
+        let inString = false;
+        let escaped = false;
+
+        for (let i = start; i < unfenced.length; i++) {
+            const ch = unfenced[i];
+            if (inString) {
+                if (escaped) escaped = false;
+                else if (ch === '\\') escaped = true;
+                else if (ch === '"') inString = false;
+            } else if (ch === '"') {
+                inString = true;
+            } else if (ch === '{') {
+                depth++;
+            } else if (ch === '}' && --depth === 0) {
+                try {
+                    const value = JSON.parse(unfenced.slice(start, i + 1));
+                    if (value && typeof value === 'object' && !Array.isArray(value)) return value;
+                } catch {
+                    // Not JSON after all, try the next opening brace
+                }
+                break;
+            }
+        }
+    }
+
+    return null;
+}
+
+// Check generated content against the schema of its kind; returns trimmed fields and every problem found
+export function validateContent(kind, data) {
+    const schema = SCHEMAS[kind];
+    const problems = [];
+    const fields = {};
+
+    if (!data) return { fields, problems: ['no JSON object found in the response'] };
+
+    for (const [field, check] of Object.entries(schema)) {
+        const value = data[field];
+        if (typeof value !== 'string' || value.trim() === '') {
+            problems.push(`"${field}" is missing or not a non-empty string`);
+            continue;
+        }
+
+        fields[field] = value.trim();
+        const problem = check(fields[field]);
+        if (problem) problems.push(`"${field}" ${problem}`);
     }
+
+    return { fields, problems };
 }
 
+/**
+ * Generate and validate agent ('createAgent') or request ('createRequest') content.
+ * A rejected answer is sent back with the problems found, up to llm.maxAttempts
+ * answers in total. Returns the validated fields, or null when every attempt failed.
+ */
+export async function generateContent(kind) {
+    const { maxAttempts } = getConfig().llm;
+    const basePrompt = kind === 'createAgent' ? 'create agent' : 'create request';
+    let prompt = basePrompt;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        const response = await generateAIResponse(prompt, kind);
+        if (response === null) return null;
+
+        const { fields, problems } = validateContent(kind, extractJson(response));
+        if (problems.length === 0) return fields;
 
+        logger.warn(`Generated content rejected (attempt ${attempt}/${maxAttempts}): ${problems.join('; ')}`);
+        prompt = `${basePrompt}
+
+Your previous answer was rejected:
+${problems.map(problem => `- ${problem}`).join('\n')}
+Previous answer: ${response.slice(0, 500)}
+Respond again with one JSON object that fixes these problems, and nothing else.`;
+    }
+
+    return null;
+}
@@ -0,0 +1,355 @@
+import fs from 'fs';
+import { isAddress } from 'ethers';
+import { DEFAULT_API_URL } from './api.js';
+import dotenv from 'dotenv';
+import { registerSecret } from './redact.js';
+
+// quiet: dotenv would otherwise print a banner to stdout, mixing it into piped output such as ledger --csv
+dotenv.config({ quiet: true });
+
+export const DEFAULT_CONFIG_FILE = '4bsc.config.json';
+
+/**
+ * Every setting the bot reads. Values are resolved in this order, later wins:
+ * default -> config file -> environment variable -> command line `--key=value`.
+ */
+const SCHEMA = {
+    'api.url': { type: 'url', default: DEFAULT_API_URL, env: 'API_URL' },
+    'api.timeoutMs': { type: 'int', default: 30000, min: 1000, env: 'API_TIMEOUT' },
+    // Log in again when the session token expires within this many seconds
+    'auth.refreshMarginSeconds': { type: 'int', default: 600, min: 0, env: 'TOKEN_REFRESH_MARGIN' },
+
+    'contract.address': { type: 'address', default: '0xb3Ad998AF21485562eCd7eA700eF695135cbB491', env: 'CONTRACT_ADDRESS' },
+
+    'rpc.urls': {
+        type: 'urls',
+        default: ['https://bsc.meowrpc.com/', 'https://bsc-dataseed.bnbchain.org/', 'https://bsc-rpc.publicnode.com/'],
+        env: ['RPC_URLS', 'RPC_URL'],
+        // Provider URLs often carry an API key in the path (NodeReal, Ankr, Alchemy)
+        secret: true,
+    },
+    'rpc.chainId': { type: 'int', default: 56, min: 1, env: 'RPC_CHAIN_ID' },
+    'rpc.maxBlockLag': { type: 'int', default: 5, min: 0, env: 'RPC_MAX_BLOCK_LAG' },
+    'rpc.healthIntervalMs': { type: 'int', default: 60000, min: 1000, env: 'RPC_HEALTH_INTERVAL' },
+    'rpc.timeoutMs': { type: 'int', default: 10000, min: 1000, env: 'RPC_TIMEOUT' },
+
+    'tx.confirmations': { type: 'int', default: 1, min: 1, env: 'TX_CONFIRMATIONS' },
+    'tx.timeoutMs': { type: 'int', default: 180000, min: 1000, env: 'TX_TIMEOUT' },
+    // How often a sent transaction's receipt and confirmations are checked
+    'tx.pollIntervalMs': { type: 'int', default: 3000, min: 10, env: 'TX_POLL_INTERVAL' },
+    // Registrations that reverted this many times are abandoned instead of retried every run
+    'tx.maxReverts': { type: 'int', default: 3, min: 1, max: 20, env: 'TX_MAX_REVERTS' },
+    'tx.maxReplacements': { type: 'int', default: 2, min: 0, max: 10, env: 'TX_MAX_REPLACEMENTS' },
+    // Nodes reject replacements that raise the price by less than 10%
+    'tx.gasBumpPercent': { type: 'int', default: 20, min: 10, max: 500, env: 'TX_GAS_BUMP' },
+    'tx.gasMarginPercent': { type: 'int', default: 120, min: 100, max: 1000, env: 'TX_GAS_MARGIN' },
+
+    // Content generation providers, tried in this order until one answers
+    'llm.providers': { type: 'list', values: ['openai', 'ollama', 'template'], default: ['openai', 'template'], env: 'LLM_PROVIDERS' },
+    'llm.temperature': { type: 'number', default: 0.8, min: 0, max: 2, env: 'LLM_TEMPERATURE' },
+    'llm.timeoutMs': { type: 'int', default: 60000, min: 1000, env: 'LLM_TIMEOUT' },
+    // Answers per generated text before giving up; rejected answers are re-prompted with the problems found
+    'llm.maxAttempts': { type: 'int', default: 3, min: 1, max: 10, env: 'LLM_MAX_ATTEMPTS' },
+    'llm.openai.url': { type: 'url', default: 'https://gen.pollinations.ai/v1/chat/completions', env: 'LLM_API_URL' },
+    'llm.openai.model': { type: 'string', default: 'nova-fast', env: 'LLM_MODEL' },
+    'llm.openai.apiKey': { type: 'string', default: '', env: 'API_KEY', secret: true },
+    'llm.ollama.url': { type: 'url', default: 'http://127.0.0.1:11434', env: 'OLLAMA_URL' },
+    'llm.ollama.model': { type: 'string', default: 'llama3.2', env: 'OLLAMA_MODEL' },
+
+    'retry.maxRetries': { type: 'int', default: 3, min: 1, max: 10, env: 'MAX_RETRIES' },
+    'retry.delayMs': { type: 'int', default: 5000, min: 0, env: 'RETRY_DELAY' },
+
+    'schedule.accountDelayMs': { type: 'int', default: 3000, min: 0, env: 'ACCOUNT_DELAY' },
+    // Longest an account waits between runs; normally its cooldown wakes it earlier
+    'schedule.waitHours': { type: 'number', default: 12, min: 0.01, env: 'WAIT_HOURS' },
+    // Added to each cooldown end against clock skew with the server
+    'schedule.safetyMarginSeconds': { type: 'int', default: 120, min: 0, max: 3600, env: 'SCHEDULE_SAFETY_MARGIN' },
+    // Delay before retrying an account whose run failed
+    'schedule.retryMinutes': { type: 'number', default: 30, min: 1, env: 'SCHEDULE_RETRY_MINUTES' },
+
+    'state.file': { type: 'string', default: '.4bsc-state.json', env: 'STATE_FILE' },
+    // Append-only JSONL record of every created agent and request; '' turns it off
+    'ledger.file': { type: 'string', default: 'ledger.jsonl', env: 'LEDGER_FILE' },
+    // reconcile scans this many blocks back (about 7 days on BSC) in eth_getLogs chunks of chunkBlocks
+    'reconcile.lookbackBlocks': { type: 'int', default: 201600, min: 1, env: 'RECONCILE_LOOKBACK_BLOCKS' },
+    'reconcile.chunkBlocks': { type: 'int', default: 5000, min: 1, max: 100000, env: 'RECONCILE_CHUNK_BLOCKS' },
+
+    // Encrypted keystores; when the directory has none, keys are read from .env
+    'keystore.dir': { type: 'string', default: 'keystores', env: 'KEYSTORE_DIR' },
+    'keystore.passwordFile': { type: 'string', default: '', env: 'KEYSTORE_PASSWORD_FILE' },
+    'keystore.password': { type: 'string', default: '', env: 'KEYSTORE_PASSWORD', secret: true },
+
+    // Prometheus endpoint at http://host:port/metrics while the bot runs; 0 turns it off
+    'metrics.port': { type: 'int', default: 0, min: 0, max: 65535, env: 'METRICS_PORT' },
+    'metrics.host': { type: 'string', default: '127.0.0.1', env: 'METRICS_HOST' },
+
+    // Webhooks: [{ "url", "format": json|discord|telegram, "events": [...], "chatId" (telegram) }]
+    'notify.webhooks': {
+        type: 'webhooks',
+        default: [],
+        env: 'NOTIFY_WEBHOOKS',
+        secret: true,
+        formats: ['json', 'discord', 'telegram'],
+        events: ['summary', 'auth_failed', 'tx_reverted', 'low_gas'],
+    },
+    // At most maxPerWindow messages per webhook and event every windowMinutes
+    'notify.maxPerWindow': { type: 'int', default: 5, min: 1, env: 'NOTIFY_MAX_PER_WINDOW' },
+    'notify.windowMinutes': { type: 'number', default: 10, min: 0.1, env: 'NOTIFY_WINDOW_MINUTES' },
+
+    // Console output, plus optional JSON-lines files rotated by size and day ('' turns a file off)
+    'log.level': { type: 'choice', values: ['debug', 'info', 'success', 'warn', 'error'], default: 'debug', env: 'LOG_LEVEL' },
+    'log.format': { type: 'choice', values: ['pretty', 'json'], default: 'pretty', env: 'LOG_FORMAT' },
+    'log.file': { type: 'string', default: '', env: 'LOG_FILE' },
+    // One file per wallet (<dir>/<address>.log) for incident review
+    'log.accountDir': { type: 'string', default: '', env: 'LOG_ACCOUNT_DIR' },
+    'log.maxSizeMb': { type: 'number', default: 10, min: 0.01, env: 'LOG_MAX_SIZE_MB' },
+    'log.maxFiles': { type: 'int', default: 10, min: 1, env: 'LOG_MAX_FILES' },
+    'log.rotateDaily': { type: 'bool', default: true, env: 'LOG_ROTATE_DAILY' },
+
+    // Full-screen live table of all accounts instead of scrolling logs; only on a terminal
+    'ui.dashboard': { type: 'bool', default: false, env: 'DASHBOARD', flag: 'dashboard' },
+
+    // On SIGINT/SIGTERM, how long to wait for the current platform call or transaction before exiting anyway;
+    // at least tx.timeoutMs, so a transaction wait in progress can end
+    'shutdown.timeoutMs': { type: 'int', default: 240000, min: 1000, env: 'SHUTDOWN_TIMEOUT' },
+
+    'dryRun': { type: 'bool', default: false, env: 'DRY_RUN', flag: 'dry-run' },
+};
+
+export class ConfigError extends Error {
+    constructor(problems) {
+        super(`Invalid configuration:\n${problems.map(p => `  - ${p}`).join('\n')}`);
+        this.name = 'ConfigError';
+        this.problems = problems;
+    }
+}
+
+function describe(source) {
+    return source.kind === 'file' ? `${source.name} in ${source.file}` : source.kind === 'env' ? `env ${source.name}` : `--${source.name}`;
+}
+
+// Coerce a raw value (JSON value or string from env/CLI) to the key's type
+function coerce(key, spec, raw, source, problems) {
+    const where = describe(source);
+    // Values that may hold secrets (webhook URLs with bot tokens) are not echoed
+    const fail = (reason, echo = !spec.secret) => {
+        problems.push(`${key} (${where}): ${reason}${echo ? `, got ${JSON.stringify(raw)}` : ''}`);
+        return undefined;
+    };
+
+    switch (spec.type) {
+        case 'int':
+        case 'number': {
+            const value = typeof raw === 'number' ? raw : Number(String(raw).trim());
+            if (String(raw).trim() === '' || !Number.isFinite(value)) return fail('expected a number');
+            if (spec.type === 'int' && !Number.isInteger(value)) return fail('expected a whole number');
+            if (spec.min !== undefined && value < spec.min) return fail(`must be >= ${spec.min}`);
+            if (spec.max !== undefined && value > spec.max) return fail(`must be <= ${spec.max}`);
+            return value;
+        }
+        case 'bool': {
+            if (typeof raw === 'boolean') return raw;
+            const text = String(raw).trim().toLowerCase();
+            if (['1', 'true', 'yes', 'on'].includes(text)) return true;
+            if (['0', 'false', 'no', 'off', ''].includes(text)) return false;
+            return fail('expected true or false');
+        }
+        case 'url': {
+            try {
+                const url = new URL(String(raw));
+                if (!['http:', 'https:'].includes(url.protocol)) return fail('expected an http(s) URL');
+                return String(raw);
+            } catch {
+                return fail('expected an http(s) URL');
+            }
+        }
+        case 'urls': {
+            const list = Array.isArray(raw) ? raw : String(raw).split(',');
+            const urls = list.map(url => String(url).trim()).filter(Boolean);
+            if (urls.length === 0) return fail('expected at least one URL');
+            for (const url of urls) {
+                if (coerce(key, { type: 'url' }, url, source, problems) === undefined) return undefined;
+            }
+            return urls;
+        }
+        case 'list': {
+            const list = (Array.isArray(raw) ? raw : String(raw).split(',')).map(item => String(item).trim()).filter(Boolean);
+            if (list.length === 0) return fail('expected at least one entry');
+            const unknown = list.filter(item => !spec.values.includes(item));
+            if (unknown.length > 0) return fail(`unknown ${unknown.join(', ')}; expected ${spec.values.join(', ')}`);
+            return list;
+        }
+        case 'choice': {
+            const value = String(raw).trim();
+            return spec.values.includes(value) ? value : fail(`expected one of ${spec.values.join(', ')}`);
+        }
+        case 'webhooks': {
+            let list = raw;
+            if (typeof raw === 'string') {
+                try {
+                    list = JSON.parse(raw);
+                } catch {
+                    return fail('expected a JSON array of webhooks');
+                }
+            }
+            if (!Array.isArray(list)) return fail('expected an array of webhooks');
+
+            const webhooks = [];
+            for (const [i, hook] of list.entries()) {
+                const at = `webhook ${i + 1}`;
+                if (!hook || typeof hook !== 'object') return fail(`${at} must be an object`);
+
+                const format = hook.format ?? 'json';
+                const events = hook.events ?? [];
+                if (!spec.formats.includes(format)) return fail(`${at}: format must be one of ${spec.formats.join(', ')}`);
+                if (coerce(`${key}[${i}].url`, { type: 'url', secret: true }, hook.url, source, problems) === undefined) return undefined;
+                if (format === 'telegram' && !hook.chatId) return fail(`${at}: telegram webhooks need a chatId`);
+                if (!Array.isArray(events)) return fail(`${at}: events must be a list`);
+
+                const unknown = events.filter(event => !spec.events.includes(event));
+                if (unknown.length > 0) return fail(`${at}: unknown event(s) ${unknown.join(', ')}; expected ${spec.events.join(', ')}`);
+
+                webhooks.push({ url: hook.url, format, events, ...(hook.chatId ? { chatId: String(hook.chatId) } : {}) });
+            }
+            return webhooks;
+        }
+        case 'address':
+            return isAddress(raw) ? String(raw) : fail('expected a 0x-prefixed contract address');
+        default:
+            if (typeof raw !== 'string' && typeof raw !== 'number') return fail('expected a string');
+            return String(raw);
+    }
+}
+
+// Flatten {"api": {"url": ...}} to {"api.url": ...}
+function flatten(object, prefix = '', out = {}) {
+    for (const [name, value] of Object.entries(object)) {
+        const key = prefix ? `${prefix}.${name}` : name;
+        if (value && typeof value === 'object' && !Array.isArray(value) && !(key in SCHEMA)) {
+            flatten(value, key, out);
+        } else {
+            out[key] = value;
+        }
+    }
+    return out;
+}
+
+function setPath(target, key, value) {
+    const parts = key.split('.');
+    let node = target;
+    for (const part of parts.slice(0, -1)) {
+        node = node[part] ??= {};
+    }
+    node[parts[parts.length - 1]] = value;
+}
+
+function deepFreeze(object) {
+    for (const value of Object.values(object)) {
+        if (value && typeof value === 'object') deepFreeze(value);
+    }
+    return Object.freeze(object);
+}
+
+/**
+ * Split argv into config overrides and everything else.
+ * Accepts `--config <file>`, `--key=value` / `--key value` for any schema key, and flags like `--dry-run`.
+ */
+export function parseCliOverrides(argv) {
+    const flags = Object.fromEntries(Object.entries(SCHEMA).filter(([, spec]) => spec.flag).map(([key, spec]) => [spec.flag, key]));
+    const overrides = {};
+    const rest = [];
+    let configFile = null;
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const match = /^--([^=]+)(?:=(.*))?$/.exec(arg);
+        if (!match) {
+            rest.push(arg);
+            continue;
+        }
+
+        const [, name, inline] = match;
+        if (name === 'config') {
+            configFile = inline ?? argv[++i];
+        } else if (flags[name]) {
+            overrides[flags[name]] = inline ?? true;
+        } else if (name in SCHEMA) {
+            overrides[name] = inline ?? argv[++i];
+        } else {
+            rest.push(arg);
+        }
+    }
+
+    return { overrides, rest, configFile };
+}
+
+/**
+ * Resolve and validate the full configuration. Throws ConfigError listing every bad value.
+ */
+export function resolveConfig({ argv = [], env = process.env, file } = {}) {
+    const problems = [];
+    const { overrides, configFile } = parseCliOverrides(argv);
+    const path = configFile ?? file ?? env.CONFIG_FILE ?? DEFAULT_CONFIG_FILE;
+
+    let fileValues = {};
+    if (fs.existsSync(path)) {
+        try {
+            fileValues = flatten(JSON.parse(fs.readFileSync(path, 'utf-8')));
+        } catch (error) {
+            problems.push(`${path}: not valid JSON (${error.message})`);
+        }
+        for (const key of Object.keys(fileValues)) {
+            if (!(key in SCHEMA)) problems.push(`${key} in ${path}: unknown setting`);
+        }
+    } else if (configFile ?? file ?? env.CONFIG_FILE) {
+        problems.push(`${path}: config file not found`);
+    }
+
+    const config = {};
+    for (const [key, spec] of Object.entries(SCHEMA)) {
+        let value = spec.default;
+
+        if (key in fileValues) {
+            const coerced = coerce(key, spec, fileValues[key], { kind: 'file', name: key, file: path }, problems);
+            if (coerced !== undefined) value = coerced;
+        }
+
+        const envName = [].concat(spec.env ?? []).find(name => env[name] !== undefined && env[name] !== '');
+        if (envName) {
+            const coerced = coerce(key, spec, env[envName], { kind: 'env', name: envName }, problems);
+            if (coerced !== undefined) value = coerced;
+        }
+
+        if (key in overrides) {
+            const coerced = coerce(key, spec, overrides[key], { kind: 'cli', name: spec.flag ?? key }, problems);
+            if (coerced !== undefined) value = coerced;
+        }
+
+        // Secret settings are masked wherever they would otherwise show up in logs
+        if (spec.secret) {
+            for (const secret of [].concat(value)) registerSecret(secret?.url ?? secret);
+        }
+
+        setPath(config, key, value);
+    }
+
+    if (config.shutdown.timeoutMs < config.tx.timeoutMs) {
+        problems.push(`shutdown.timeoutMs: must be >= tx.timeoutMs (${config.tx.timeoutMs}), got ${config.shutdown.timeoutMs}`);
+    }
+
+    if (problems.length > 0) throw new ConfigError(problems);
+    return deepFreeze(config);
+}
+
+let current = null;
+
+// Load and validate the configuration once at startup; later getConfig() calls return it
+export function loadConfig(options) {
+    current = resolveConfig(options);
+    return current;
+}
+
+export function getConfig() {
+    current ??= resolveConfig();
+    return current;
+}
@@ -1,50 +1,345 @@
 import { JsonRpcProvider, Wallet, Contract } from "ethers";
+import { endpointLabel } from "./rpc.js";
 
 export function get_signer({
     rpc_url,
+    provider,
     private_key,
+    signer,
 }) {
-    const provider = new JsonRpcProvider(rpc_url);
+    provider = provider ?? new JsonRpcProvider(rpc_url);
+    if (signer) {
+        return signer.connect(provider);
+    }
     const wallet = new Wallet(private_key, provider);
     return wallet;
 }
 
+async function get_gas_price(provider) {
+    const feeData = await provider.getFeeData();
+    return feeData.gasPrice ?? feeData.maxFeePerGas ?? 0n;
+}
+
+export async function get_balance({ rpc_url, provider, address }) {
+    provider = provider ?? new JsonRpcProvider(rpc_url);
+    return provider.getBalance(address);
+}
+
+/**
+ * Estimate gas and cost of a contract call at the current gas price.
+ * fallback_gas is used when the node cannot estimate, e.g. because placeholder args would revert.
+ */
+export async function estimate_contract_cost({
+    rpc_url,
+    provider,
+    private_key,
+    signer,
+    contract_address,
+    abi,
+    method,
+    args = [],
+    fallback_gas,
+}) {
+    const wallet = get_signer({ rpc_url, provider, private_key, signer });
+    const contract = new Contract(contract_address, abi, wallet);
+
+    let gasEstimate;
+    try {
+        gasEstimate = await contract.getFunction(method).estimateGas(...args);
+    } catch (error) {
+        if (!fallback_gas) throw error;
+        gasEstimate = BigInt(fallback_gas);
+    }
+
+    const gasPrice = await get_gas_price(wallet.provider);
+    return { gasEstimate, gasPrice, cost: gasEstimate * gasPrice };
+}
+
 /**
- * Send transaction to smart contract
+ * Dry run: static call plus gas estimate at the current gas price, nothing is broadcast
+ */
+async function simulate_contract_tx(wallet, contract, method, args, overrides) {
+    const fn = contract.getFunction(method);
+
+    // A call to an address without code succeeds, which would hide a wrong contract address
+    if ((await wallet.provider.getCode(contract.target)) === '0x') {
+        throw new Error(`No contract deployed at ${contract.target}`);
+    }
+
+    // Throws with the revert reason if the call would fail on chain
+    await fn.staticCall(...args, overrides);
+
+    const gasEstimate = await fn.estimateGas(...args, overrides);
+    const gasPrice = await get_gas_price(wallet.provider);
+
+    return {
+        dryRun: true,
+        hash: null,
+        status: 'simulated',
+        gasEstimate,
+        gasPrice,
+        cost: gasEstimate * gasPrice,
+    };
+}
+
+/**
+ * Send transaction to smart contract through a TransactionManager.
+ * Resolves with the manager's structured result, including for reverted or dropped transactions;
+ * errors before or while sending are thrown for the caller to report.
  */
 export async function send_contract_tx({
     rpc_url,
+    provider,
     private_key,
+    signer,
     contract_address,
     abi,
     method,
     args = [],
     value = 0n,
     gas_limit,
+    dry_run = false,
+    tx_manager,
+    on_broadcast,
 }) {
-    try {
-        const signer = get_signer({ rpc_url, private_key });
+    const wallet = get_signer({ rpc_url, provider, private_key, signer });
+
+    const contract = new Contract(
+        contract_address,
+        abi,
+        wallet
+    );
+
+    if (dry_run) {
+        return await simulate_contract_tx(wallet, contract, method, args, { value, gasLimit: gas_limit });
+    }
+
+    const tx_request = await contract.getFunction(method).populateTransaction(...args, {
+        value,
+        gasLimit: gas_limit,
+    });
+
+    const result = await (tx_manager ?? default_tx_manager).send(wallet, tx_request, { on_broadcast });
+
+    // Which RPC endpoint broadcast the transaction, when the provider can tell
+    result.rpc = wallet.provider.endpointFor?.(result.hash) ?? (rpc_url ? endpointLabel(rpc_url) : null);
+    return result;
+}
+
+/**
+ * Look up transactions sent earlier, e.g. ones a previous run gave up waiting for
+ */
+export async function find_contract_tx({ rpc_url, provider, hashes, tx_manager }) {
+    provider = provider ?? new JsonRpcProvider(rpc_url);
+    return (tx_manager ?? default_tx_manager).lookup(provider, hashes);
+}
+
+export const TX_STATUS = {
+    CONFIRMED: 'confirmed',
+    REPLACED: 'replaced',
+    DROPPED: 'dropped',
+    REVERTED: 'reverted',
+    // Mined successfully, but not yet buried under the configured confirmations
+    UNCONFIRMED: 'unconfirmed',
+    // Broadcast, but not known to be mined: it may still be, so it must not be sent again
+    PENDING: 'pending',
+};
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
 
-        const contract = new Contract(
-            contract_address,
-            abi,
-            signer
-        );
+function bump(value, percent) {
+    return value * BigInt(100 + percent) / 100n;
+}
 
-        const tx = await contract[method](...args, {
-            value,
-            gasLimit: gas_limit,
-        });
+function is_nonce_error(error) {
+    return error?.code === 'NONCE_EXPIRED' || /nonce too low|already known/i.test(error?.message ?? '');
+}
+
+/**
+ * Sends transactions with per-wallet nonce tracking, confirmation waits and
+ * stuck-transaction replacement.
+ *
+ * A transaction that is not mined within timeout_ms is re-sent at the same
+ * nonce with gas_bump_percent more gas price, up to max_replacements times.
+ * A mined transaction that does not reach `confirmations` within another
+ * timeout_ms is reported as unconfirmed, not confirmed.
+ * `send` always resolves with a status from TX_STATUS instead of hanging or
+ * throwing on a revert; once a hash is broadcast, errors resolve as pending
+ * with `error` set, so the hashes are never lost.
+ */
+export class TransactionManager {
+    #nonces = new Map();
+
+    constructor({
+        confirmations = 1,
+        timeout_ms = 180000,
+        max_replacements = 2,
+        gas_bump_percent = 20,
+        poll_interval_ms = 3000,
+    } = {}) {
+        this.confirmations = confirmations;
+        this.timeout_ms = timeout_ms;
+        this.max_replacements = max_replacements;
+        this.gas_bump_percent = gas_bump_percent;
+        this.poll_interval_ms = poll_interval_ms;
+    }
+
+    // Highest of the node's pending nonce and our own, so back-to-back sends never collide
+    async #next_nonce(wallet) {
+        const key = wallet.address.toLowerCase();
+        const chain_nonce = await wallet.provider.getTransactionCount(wallet.address, 'pending');
+        const local_nonce = this.#nonces.get(key);
+        return local_nonce !== undefined && local_nonce > chain_nonce ? local_nonce : chain_nonce;
+    }
+
+    #replacement(tx, provider_gas_price) {
+        const next = { ...tx };
+        if (tx.maxFeePerGas != null) {
+            next.maxFeePerGas = bump(tx.maxFeePerGas, this.gas_bump_percent);
+            next.maxPriorityFeePerGas = bump(tx.maxPriorityFeePerGas ?? 0n, this.gas_bump_percent);
+        } else {
+            const bumped = bump(tx.gasPrice, this.gas_bump_percent);
+            next.gasPrice = provider_gas_price > bumped ? provider_gas_price : bumped;
+        }
+        return next;
+    }
+
+    async #find_receipt(provider, hashes) {
+        for (const hash of hashes) {
+            const receipt = await provider.getTransactionReceipt(hash);
+            if (receipt) return receipt;
+        }
+        return null;
+    }
+
+    // A receipt means mined, i.e. one confirmation; more need the (briefly cached) block number
+    async #confirmed(receipt) {
+        return this.confirmations <= 1 || (await receipt.confirmations()) >= this.confirmations;
+    }
+
+    // Wait until any of the hashes is mined, then for its confirmations; null if none was mined within timeout_ms
+    async #wait(provider, hashes) {
+        const deadline = Date.now() + this.timeout_ms;
+        while (Date.now() < deadline) {
+            const receipt = await this.#find_receipt(provider, hashes);
+            if (receipt) {
+                // Once mined there is nothing to replace; give confirmations their own deadline
+                const confirm_deadline = Date.now() + this.timeout_ms;
+                let confirmed = await this.#confirmed(receipt);
+                while (!confirmed && Date.now() < confirm_deadline) {
+                    await sleep(this.poll_interval_ms);
+                    confirmed = await this.#confirmed(receipt);
+                }
+                return { receipt, confirmed };
+            }
+            await sleep(this.poll_interval_ms);
+        }
+        return null;
+    }
 
-        const receipt = await tx.wait();
+    #result(receipt, hashes, nonce, confirmed = true) {
+        let status = TX_STATUS.CONFIRMED;
+        if (receipt.status === 0) status = TX_STATUS.REVERTED;
+        else if (!confirmed) status = TX_STATUS.UNCONFIRMED;
+        else if (receipt.hash !== hashes[0]) status = TX_STATUS.REPLACED;
 
+        // receipt.gasPrice is the effective price actually paid
         return {
-            hash: tx.hash,
-            status: receipt.status,
+            status,
+            hash: receipt.hash,
+            hashes,
+            nonce,
             blockNumber: receipt.blockNumber,
+            gasUsed: receipt.gasUsed,
+            gasPrice: receipt.gasPrice,
+            fee: receipt.fee,
         };
-    } catch (error) {
-        console.error("send_contract_tx error:", error);
-        throw error;
+    }
+
+    // True when the node still knows one of the unmined hashes, i.e. it can still be mined
+    async #in_mempool(provider, hashes) {
+        for (const hash of hashes) {
+            if (await provider.getTransaction(hash)) return true;
+        }
+        return false;
+    }
+
+    // Outcome of earlier hashes: mined, still pending, or null if the node knows none of them
+    async lookup(provider, hashes) {
+        const receipt = await this.#find_receipt(provider, hashes);
+        if (receipt) return this.#result(receipt, hashes, null, await this.#confirmed(receipt));
+        return (await this.#in_mempool(provider, hashes)) ? this.#unmined(TX_STATUS.PENDING, hashes, null) : null;
+    }
+
+    #unmined(status, hashes, nonce) {
+        return {
+            status,
+            hash: hashes[hashes.length - 1] ?? null,
+            hashes,
+            nonce,
+            blockNumber: null,
+            gasUsed: 0n,
+            gasPrice: 0n,
+            fee: 0n,
+        };
+    }
+
+    // on_broadcast(hash) is awaited right after each hash is broadcast, so the
+    // caller can store it before anything else can fail
+    async send(wallet, tx_request, { on_broadcast } = {}) {
+        const nonce = await this.#next_nonce(wallet);
+        const hashes = [];
+        try {
+            return await this.#send_with_replacements(wallet, tx_request, nonce, hashes, on_broadcast);
+        } catch (error) {
+            if (hashes.length === 0) throw error;
+            // Already broadcast and possibly mined later: hand the hashes back instead of losing them
+            return { ...this.#unmined(TX_STATUS.PENDING, hashes, nonce), error: error.shortMessage ?? error.message };
+        }
+    }
+
+    async #send_with_replacements(wallet, tx_request, nonce, hashes, on_broadcast) {
+        const provider = wallet.provider;
+        const key = wallet.address.toLowerCase();
+
+        let tx = await wallet.populateTransaction({ ...tx_request, nonce });
+
+        for (let attempt = 0; attempt <= this.max_replacements; attempt++) {
+            if (attempt > 0) {
+                const fee_data = await provider.getFeeData();
+                tx = this.#replacement(tx, fee_data.gasPrice ?? 0n);
+            }
+
+            try {
+                const response = await wallet.sendTransaction(tx);
+                hashes.push(response.hash);
+                this.#nonces.set(key, nonce + 1);
+            } catch (error) {
+                // The nonce was taken while we waited, most likely by one of our own hashes
+                if (hashes.length > 0 && is_nonce_error(error)) {
+                    const receipt = await this.#find_receipt(provider, hashes);
+                    if (receipt) return this.#result(receipt, hashes, nonce, await this.#confirmed(receipt));
+                }
+                if (hashes.length === 0) throw error;
+                break;
+            }
+            await on_broadcast?.(hashes[hashes.length - 1]);
+
+            const mined = await this.#wait(provider, hashes);
+            if (mined) return this.#result(mined.receipt, hashes, nonce, mined.confirmed);
+        }
+
+        // Give up on this nonce; the next send re-reads it from the node
+        this.#nonces.delete(key);
+        const receipt = await this.#find_receipt(provider, hashes);
+        if (receipt) return this.#result(receipt, hashes, nonce, await this.#confirmed(receipt));
+
+        // Out of replacements but still in the mempool: it may be mined yet, so it is not dropped
+        const status = (await this.#in_mempool(provider, hashes)) ? TX_STATUS.PENDING : TX_STATUS.DROPPED;
+        return this.#unmined(status, hashes, nonce);
     }
 }
+
+const default_tx_manager = new TransactionManager();
@@ -0,0 +1,159 @@
+import logger from './logger.js';
+import { PHASES, getPhase, currentCycle, onPhase } from './status.js';
+
+/**
+ * Full-screen live view of a multi-account run.
+ *
+ * While started it owns the terminal: the alternate screen shows a table of
+ * every account (phase, cooldown, points, days, counters) above a pane with
+ * the most recent log lines, and is redrawn every second and on every phase
+ * change. Log files are written as usual; stop() restores the normal screen.
+ */
+
+const { COLORS } = logger;
+
+const SCREEN = {
+    enter: '\x1b[?1049h\x1b[?25l',
+    leave: '\x1b[?25h\x1b[?1049l',
+    home: '\x1b[H',
+    clearLine: '\x1b[K',
+    clearDown: '\x1b[J',
+};
+
+const PHASE_COLORS = {
+    [PHASES.QUEUED]: COLORS.dim,
+    [PHASES.AUTHENTICATING]: COLORS.blue,
+    [PHASES.CHECKING]: COLORS.blue,
+    [PHASES.GENERATING]: COLORS.magenta,
+    [PHASES.CREATING]: COLORS.yellow,
+    [PHASES.WAITING_TX]: COLORS.yellow,
+    [PHASES.DONE]: COLORS.green,
+    [PHASES.FAILED]: COLORS.red,
+};
+
+// Cut a line with colors to width visible characters
+function truncate(text, width) {
+    let visible = 0;
+    let result = '';
+    for (let i = 0; i < text.length; i++) {
+        const escape = text.slice(i).match(/^\x1b\[[0-9;?]*[A-Za-z]/);
+        if (escape) {
+            result += escape[0];
+            i += escape[0].length - 1;
+            continue;
+        }
+        if (visible === width) return result + COLORS.reset;
+        result += text[i];
+        visible++;
+    }
+    return result;
+}
+
+function shortAddress(address) {
+    return address ? `${address.slice(0, 6)}…${address.slice(-4)}` : '';
+}
+
+export class Dashboard {
+    /**
+     * stats     - accountsStats of the bot, read on every redraw
+     * addresses - wallet address of every account, by index
+     */
+    constructor({ stats, addresses, stream = process.stdout, refreshMs = 1000, maxEvents = 200, now = () => Date.now() }) {
+        this.stats = stats;
+        this.addresses = addresses;
+        this.stream = stream;
+        this.refreshMs = refreshMs;
+        this.maxEvents = maxEvents;
+        this.now = now;
+        this.events = [];
+        this.timer = null;
+        this.unsubscribe = null;
+        this.redraw = () => this.draw();
+    }
+
+    start() {
+        if (this.timer) return;
+        this.stream.write(SCREEN.enter);
+        logger.setOutput(entry => this.addEvent(entry));
+        this.unsubscribe = onPhase(this.redraw);
+        this.stream.on?.('resize', this.redraw);
+        this.timer = setInterval(this.redraw, this.refreshMs);
+        this.timer.unref();
+        this.draw();
+    }
+
+    // Back to the normal screen; safe to call more than once
+    stop() {
+        if (!this.timer) return;
+        clearInterval(this.timer);
+        this.timer = null;
+        this.unsubscribe();
+        this.stream.off?.('resize', this.redraw);
+        logger.setOutput(null);
+        this.stream.write(SCREEN.leave);
+    }
+
+    // One log entry as a single event line; the oldest lines are dropped beyond maxEvents
+    addEvent({ time, level, account, task, message }) {
+        const { color, label } = logger.LEVELS[level];
+        const tag = account ? `${COLORS.dim}[#${account}${task ? ` ${task}` : ''}]${COLORS.reset} ` : '';
+        const text = String(message).split('\n').map(part => part.trim()).filter(Boolean).join(' ');
+
+        this.events.push(`${COLORS.dim}${time}${COLORS.reset} ${color}${label.padEnd(7)}${COLORS.reset} ${tag}${text}`);
+        if (this.events.length > this.maxEvents) this.events.shift();
+        if (this.timer) this.draw();
+    }
+
+    rows() {
+        const nowSeconds = Math.floor(this.now() / 1000);
+        return this.addresses.map((address, index) => {
+            const stats = this.stats[index] ?? {};
+            const phase = getPhase(index) ?? stats.lastStatus ?? 'idle';
+            const left = stats.cooldownEndTime ? stats.cooldownEndTime - nowSeconds : null;
+
+            return {
+                '#': index + 1,
+                address: shortAddress(address),
+                status: `${PHASE_COLORS[phase] ?? COLORS.dim}${phase}${COLORS.reset}`,
+                cooldown: left === null ? '-' : left > 0 ? logger.countdown(left) : `${COLORS.green}ready${COLORS.reset}`,
+                points: stats.totalPoint ?? 0,
+                days: stats.days ?? 0,
+                agents: stats.agents ?? 0,
+                requests: stats.requests ?? 0,
+                txs: stats.txs ?? 0,
+                errors: stats.errors ? `${COLORS.red}${stats.errors}${COLORS.reset}` : 0,
+            };
+        });
+    }
+
+    // Screen content as lines, fitted to the terminal size
+    render() {
+        const width = this.stream.columns || 100;
+        const height = this.stream.rows || 30;
+        const cycle = currentCycle();
+
+        let progress = `${COLORS.dim}waiting for the first cycle${COLORS.reset}`;
+        if (cycle) {
+            const finished = cycle.accounts.filter(index => [PHASES.DONE, PHASES.FAILED].includes(getPhase(index))).length;
+            progress = `Cycle ${cycle.number}  ${logger.progressBar(finished, cycle.accounts.length, 20)}  ${finished}/${cycle.accounts.length} accounts`;
+        }
+        const clock = new Date(this.now()).toLocaleTimeString('en-US', { hour12: false });
+
+        const lines = [
+            `${COLORS.cyan}${COLORS.bold}${logger.EMOJIS.robot} 4BSC.AI BOT${COLORS.reset}  ${progress}  ${COLORS.dim}${clock}${COLORS.reset}`,
+            '',
+            ...logger.formatTable(this.rows()).split('\n'),
+            '',
+            `${COLORS.bold}Recent events${COLORS.reset}`,
+        ];
+        const room = Math.max(0, height - lines.length - 1);
+        lines.push(...(room > 0 ? this.events.slice(-room) : []));
+
+        return lines.map(line => truncate(line, width));
+    }
+
+    draw() {
+        const lines = this.render();
+        this.stream.write(SCREEN.home + lines.map(line => line + SCREEN.clearLine).join('\n') + SCREEN.clearDown);
+    }
+}
@@ -0,0 +1,93 @@
+// Typed errors thrown by the 4bsc API layer.
+// `transient` tells retryWithBackoff whether trying again can help.
+
+export class ApiError extends Error {
+    constructor(message, { status = null, data = null, code = null } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.data = data;
+        this.code = code;
+    }
+
+    get transient() {
+        return false;
+    }
+}
+
+// No response at all: DNS, connection reset, timeout
+export class NetworkError extends ApiError {
+    get transient() {
+        return true;
+    }
+}
+
+// HTTP 5xx
+export class ServerError extends ApiError {
+    get transient() {
+        return true;
+    }
+}
+
+// HTTP 429, retryAfter in ms when the server sent a Retry-After header
+export class RateLimitError extends ApiError {
+    constructor(message, options = {}) {
+        super(message, options);
+        this.retryAfter = options.retryAfter ?? null;
+    }
+
+    get transient() {
+        return true;
+    }
+}
+
+// HTTP 401/403, the session token is missing, expired or revoked
+export class AuthError extends ApiError {}
+
+// Any other 4xx, the request itself is wrong and repeating it will not help
+export class ValidationError extends ApiError {}
+
+function parseRetryAfter(value) {
+    if (!value) return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return seconds * 1000;
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Map an axios error to one of the classes above.
+// Only status, code and response body are kept so request headers never travel with the error.
+export function toApiError(error, action) {
+    if (error instanceof ApiError) return error;
+
+    const response = error.response;
+    if (!response) {
+        return new NetworkError(`${action} failed: ${error.code || error.message}`, { code: error.code });
+    }
+
+    const { status, data } = response;
+    const detail = data?.msg || data?.message || error.message;
+    const message = `${action} failed: HTTP ${status}${detail ? ` - ${detail}` : ''}`;
+    const options = { status, data, code: error.code };
+
+    if (status === 401 || status === 403) return new AuthError(message, options);
+    if (status === 429) {
+        return new RateLimitError(message, { ...options, retryAfter: parseRetryAfter(response.headers?.['retry-after']) });
+    }
+    if (status >= 500) return new ServerError(message, options);
+    return new ValidationError(message, options);
+}
+
+export function isTransient(error) {
+    return Boolean(error?.transient);
+}
+
+// Connection errors raised before the request reached the server
+const NOT_SENT_CODES = new Set(['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN']);
+
+// For calls that must not run twice, like creating a record: after a timeout, a reset
+// connection or a 5xx the server may have done the work already, so only a refused
+// connection or a 429 is worth another attempt
+export function isUnprocessed(error) {
+    return error instanceof RateLimitError || (error instanceof NetworkError && NOT_SENT_CODES.has(error.code));
+}
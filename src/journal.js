@@ -0,0 +1,69 @@
+// Two-phase task journal, stored per account in the state file.
+// An entry is written as soon as the platform returns an ID and completed
+// only once the matching on-chain registration has a successful receipt.
+
+const KEEP_COMPLETED = 20;
+
+function journalOf(accountState) {
+    if (!Array.isArray(accountState.journal)) {
+        accountState.journal = [];
+    }
+    return accountState.journal;
+}
+
+// Phase one: record created on the platform, not yet registered on chain
+export function recordCreated(accountState, { kind, id, method, args }) {
+    const journal = journalOf(accountState);
+    const existing = journal.find(entry => entry.kind === kind && entry.id === id);
+    if (existing) return existing;
+
+    const entry = {
+        kind,
+        id,
+        method,
+        args,
+        status: 'pending',
+        attempts: 0,
+        createdAt: new Date().toISOString(),
+    };
+    journal.push(entry);
+    return entry;
+}
+
+export function recordAttempt(entry, error) {
+    entry.attempts++;
+    entry.lastAttemptAt = new Date().toISOString();
+    entry.lastError = error ?? null;
+}
+
+// A registration that keeps reverting burns gas on every try: after maxReverts
+// the entry is abandoned and no longer resumed. Returns true when it was.
+export function recordRevert(entry, maxReverts) {
+    entry.reverts = (entry.reverts ?? 0) + 1;
+    if (entry.reverts >= maxReverts) {
+        entry.status = 'abandoned';
+        entry.abandonedAt = new Date().toISOString();
+    }
+    return entry.status === 'abandoned';
+}
+
+// Phase two: registration confirmed by a receipt
+export function markRegistered(accountState, entry, txResult) {
+    entry.status = 'complete';
+    entry.txHash = txResult.hash;
+    entry.blockNumber = txResult.blockNumber;
+    entry.completedAt = new Date().toISOString();
+    entry.lastError = null;
+
+    // Only pending entries matter for recovery, keep a short tail of completed ones
+    const journal = journalOf(accountState);
+    const completed = journal.filter(e => e.status === 'complete');
+    if (completed.length > KEEP_COMPLETED) {
+        const drop = new Set(completed.slice(0, completed.length - KEEP_COMPLETED));
+        accountState.journal = journal.filter(e => !drop.has(e));
+    }
+}
+
+export function pendingEntries(accountState) {
+    return journalOf(accountState).filter(entry => entry.status === 'pending');
+}
@@ -0,0 +1,147 @@
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { Wallet, encryptKeystoreJson } from 'ethers';
+
+// Parse multiple PRIVATE_KEY entries from .env
+export function parseEnvPrivateKeys(file = '.env') {
+    if (!fs.existsSync(file)) return [];
+
+    const envContent = fs.readFileSync(file, 'utf-8');
+    const lines = envContent.split('\n');
+    const privateKeys = [];
+
+    for (const line of lines) {
+        const trimmed = line.trim();
+        if (trimmed.startsWith('PRIVATE_KEY=')) {
+            const key = trimmed.replace('PRIVATE_KEY=', '').trim();
+            if (key && key.startsWith('0x') && key.length > 10) {
+                privateKeys.push(key);
+            }
+        }
+    }
+
+    return privateKeys;
+}
+
+// Keystore files in account order (the converter prefixes them with the account number)
+export function keystoreFiles(dir) {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir)
+        .filter(name => name.endsWith('.json'))
+        .sort()
+        .map(name => path.join(dir, name));
+}
+
+// Read a password from the terminal without echoing it
+export function promptPassword(question) {
+    if (!process.stdin.isTTY) {
+        return Promise.reject(new Error('No terminal to prompt for the keystore password'));
+    }
+
+    return new Promise(resolve => {
+        const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+        let muted = false;
+        rl._writeToOutput = text => {
+            if (!muted) rl.output.write(text);
+        };
+
+        rl.question(question, answer => {
+            rl.close();
+            process.stdout.write('\n');
+            resolve(answer);
+        });
+        muted = true;
+    });
+}
+
+/**
+ * Keystore password from, in order: the configured password (KEYSTORE_PASSWORD),
+ * the password file, or an interactive prompt.
+ */
+export async function resolvePassword({ password, passwordFile }, { confirm = false } = {}) {
+    if (password) return password;
+
+    if (passwordFile) {
+        try {
+            return fs.readFileSync(passwordFile, 'utf-8').replace(/\r?\n$/, '');
+        } catch (error) {
+            throw new Error(`Cannot read keystore password file ${passwordFile}: ${error.message}`);
+        }
+    }
+
+    if (!process.stdin.isTTY) {
+        throw new Error('Keystore password needed: set KEYSTORE_PASSWORD or keystore.passwordFile, or run in a terminal');
+    }
+
+    const entered = await promptPassword('🔑 Keystore password: ');
+    if (confirm && entered !== await promptPassword('🔑 Repeat password: ')) {
+        throw new Error('Passwords do not match');
+    }
+    if (!entered) throw new Error('Keystore password must not be empty');
+    return entered;
+}
+
+// Decrypt every keystore in dir; fails on the first one the password does not open
+export async function loadKeystores(dir, password) {
+    const privateKeys = [];
+
+    for (const file of keystoreFiles(dir)) {
+        try {
+            const wallet = await Wallet.fromEncryptedJson(fs.readFileSync(file, 'utf-8'), password);
+            privateKeys.push(wallet.privateKey);
+        } catch (error) {
+            throw new Error(`Cannot decrypt keystore ${file}: ${error.shortMessage || error.message}`);
+        }
+    }
+
+    return privateKeys;
+}
+
+/**
+ * Encrypt private keys into dir as NN-<address>.json, keeping their order.
+ * Existing keystores of the same address are left alone. Every new file is
+ * decrypted again before it is reported, so the plaintext key can be removed safely.
+ */
+export async function convertKeys(privateKeys, dir, password, options = {}) {
+    fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+    const existing = keystoreFiles(dir).map(file => path.basename(file).toLowerCase());
+    const results = [];
+
+    for (const [index, key] of privateKeys.entries()) {
+        const wallet = new Wallet(key);
+        const name = `${String(index + 1).padStart(2, '0')}-${wallet.address}.json`;
+        const file = path.join(dir, name);
+
+        if (existing.some(other => other.includes(wallet.address.toLowerCase()))) {
+            results.push({ address: wallet.address, file, created: false });
+            continue;
+        }
+
+        const json = await encryptKeystoreJson(wallet, password, options);
+        fs.writeFileSync(file, json, { mode: 0o600 });
+
+        const check = await Wallet.fromEncryptedJson(json, password);
+        if (check.address !== wallet.address) {
+            fs.rmSync(file);
+            throw new Error(`Keystore for ${wallet.address} did not decrypt back to the same key`);
+        }
+
+        results.push({ address: wallet.address, file, created: true });
+    }
+
+    return results;
+}
+
+/**
+ * Private keys of every account: from the keystore directory when it has any
+ * keystores, otherwise from the plaintext PRIVATE_KEY lines in .env.
+ */
+export async function loadPrivateKeys(keystore, envFile = '.env') {
+    if (keystoreFiles(keystore.dir).length > 0) {
+        const password = await resolvePassword(keystore);
+        return { privateKeys: await loadKeystores(keystore.dir, password), source: 'keystore' };
+    }
+
+    return { privateKeys: parseEnvPrivateKeys(envFile), source: 'env' };
+}
@@ -0,0 +1,87 @@
+import fs from 'fs';
+import path from 'path';
+import logger from './logger.js';
+
+// Append-only record of every agent and request the bot created.
+// Each status change is a new line; nothing is ever rewritten, so the file
+// doubles as an audit trail. latestEntries() folds the lines per item.
+
+export const CSV_COLUMNS = ['time', 'account', 'kind', 'id', 'name', 'description', 'status', 'txHash', 'blockNumber', 'gasCost'];
+
+// Append one line; a ledger that cannot be written is reported but never stops the bot
+export function appendLedger(file, entry) {
+    if (!file) return;
+
+    try {
+        fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+        fs.appendFileSync(file, JSON.stringify({ time: new Date().toISOString(), ...entry }) + '\n', { mode: 0o600 });
+    } catch (error) {
+        logger.warn(`Could not write ledger ${file}: ${error.message}`);
+    }
+}
+
+// Every parseable line of the ledger, oldest first; malformed lines are counted and skipped
+export function readLedger(file) {
+    let raw;
+    try {
+        raw = fs.readFileSync(file, 'utf-8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return { entries: [], skipped: 0 };
+        throw error;
+    }
+
+    const entries = [];
+    let skipped = 0;
+    for (const line of raw.split('\n')) {
+        if (!line.trim()) continue;
+        try {
+            entries.push(JSON.parse(line));
+        } catch {
+            // A line cut short by a crash mid-write
+            skipped++;
+        }
+    }
+    return { entries, skipped };
+}
+
+// One entry per created item: its latest status, with fields from earlier lines filled in
+export function latestEntries(entries) {
+    const items = new Map();
+    for (const entry of entries) {
+        const key = `${String(entry.account).toLowerCase()}|${entry.kind}|${entry.id}`;
+        const defined = Object.fromEntries(Object.entries(entry).filter(([, value]) => value !== undefined && value !== null));
+        items.set(key, { ...items.get(key), ...defined });
+    }
+    return [...items.values()];
+}
+
+/**
+ * Entries matching every given filter:
+ * account - full address or a prefix of it, case-insensitive
+ * from, to - dates (YYYY-MM-DD, whole days in UTC) or ISO timestamps
+ */
+export function filterLedger(entries, { account, from, to } = {}) {
+    const fromTime = from ? Date.parse(from) : -Infinity;
+    // A plain date includes that whole day
+    const toTime = to ? Date.parse(to) + (/^\d{4}-\d{2}-\d{2}$/.test(to) ? 24 * 60 * 60 * 1000 - 1 : 0) : Infinity;
+    const prefix = account?.toLowerCase();
+
+    return entries.filter(entry => {
+        const time = Date.parse(entry.time);
+        if (prefix && !String(entry.account).toLowerCase().startsWith(prefix)) return false;
+        return time >= fromTime && time <= toTime;
+    });
+}
+
+function csvField(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(entries, columns = CSV_COLUMNS) {
+    const lines = [columns.join(',')];
+    for (const entry of entries) {
+        lines.push(columns.map(column => csvField(entry[column])).join(','));
+    }
+    return lines.join('\r\n') + '\r\n';
+}
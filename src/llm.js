@@ -0,0 +1,167 @@
+import axios from 'axios';
+
+/**
+ * Content generation providers.
+ *
+ * Every provider has a `name` and `complete({ kind, system, prompt })`, which
+ * resolves to the raw text the model produced and throws when the provider is
+ * unavailable. `kind` is 'createAgent' or 'createRequest'.
+ */
+
+function describeError(error) {
+    if (error.response) return `HTTP ${error.response.status}`;
+    return error.code || error.message;
+}
+
+// Any endpoint speaking the OpenAI chat completions API (pollinations, OpenAI, vLLM, LM Studio, ...)
+export class OpenAiProvider {
+    constructor({ url, model, apiKey = '', temperature = 0.8, timeout = 60000, transport = axios }) {
+        this.name = `openai:${model}`;
+        this.url = url;
+        this.model = model;
+        this.apiKey = apiKey;
+        this.temperature = temperature;
+        this.timeout = timeout;
+        this.transport = transport;
+    }
+
+    async complete({ system, prompt }) {
+        try {
+            const { data } = await this.transport.request({
+                method: 'POST',
+                url: this.url,
+                timeout: this.timeout,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {}),
+                },
+                data: {
+                    model: this.model,
+                    messages: [
+                        { role: 'system', content: system },
+                        { role: 'user', content: prompt },
+                    ],
+                    temperature: this.temperature,
+                    stream: false,
+                },
+            });
+
+            const content = data?.choices?.[0]?.message?.content;
+            if (!content) throw new Error('empty completion');
+            return content;
+        } catch (error) {
+            throw new Error(`${this.name} failed: ${describeError(error)}`);
+        }
+    }
+}
+
+// Local Ollama server, /api/chat with JSON output
+export class OllamaProvider {
+    constructor({ url, model, temperature = 0.8, timeout = 60000, transport = axios }) {
+        this.name = `ollama:${model}`;
+        this.url = url.replace(/\/+$/, '');
+        this.model = model;
+        this.temperature = temperature;
+        this.timeout = timeout;
+        this.transport = transport;
+    }
+
+    async complete({ system, prompt }) {
+        try {
+            const { data } = await this.transport.request({
+                method: 'POST',
+                url: `${this.url}/api/chat`,
+                timeout: this.timeout,
+                data: {
+                    model: this.model,
+                    messages: [
+                        { role: 'system', content: system },
+                        { role: 'user', content: prompt },
+                    ],
+                    format: 'json',
+                    stream: false,
+                    options: { temperature: this.temperature },
+                },
+            });
+
+            const content = data?.message?.content;
+            if (!content) throw new Error('empty completion');
+            return content;
+        } catch (error) {
+            throw new Error(`${this.name} failed: ${describeError(error)}`);
+        }
+    }
+}
+
+const ADJECTIVES = ['Swift', 'Quiet', 'Bright', 'Steady', 'Clever', 'Lucid', 'Nimble', 'Prime'];
+const SUBJECTS = ['Pool', 'Yield', 'Gas', 'Token', 'Bridge', 'Vault', 'Swap', 'Ledger'];
+const ROLES = ['Watcher', 'Scout', 'Keeper', 'Analyst', 'Guide', 'Tracker', 'Pilot', 'Sentinel'];
+const TASKS = [
+    'tracks on-chain activity around {subject} contracts on BSC',
+    'summarises daily {subject} movements for small portfolios',
+    'flags unusual {subject} transactions before they hit the news',
+    'compares {subject} metrics across protocols and explains the gaps',
+];
+const AUDIENCES = [
+    'and sends a short plain-language digest every morning.',
+    'so newcomers can follow the market without reading raw data.',
+    'with alerts that only fire when something actually changed.',
+    'and keeps a weekly history to spot slow trends early.',
+];
+
+// Fill to the 120-200 character range the platform expects
+function fitDescription(text) {
+    let description = text;
+    while (description.length < 120) description += ' Built for the 4BSC AI community.';
+    return description.length > 200 ? `${description.slice(0, 197).trimEnd()}...` : description;
+}
+
+/**
+ * No model at all: builds agent and request JSON from word lists. The n-th call
+ * always yields the same content, so it works offline and in tests.
+ */
+export class TemplateProvider {
+    constructor({ seed = 0 } = {}) {
+        this.name = 'template';
+        this.counter = seed;
+    }
+
+    async complete({ kind }) {
+        const n = this.counter++;
+        // Step through the lists at different strides so consecutive calls differ in every part
+        const adjective = ADJECTIVES[n % ADJECTIVES.length];
+        const subject = SUBJECTS[(n * 3 + 1) % SUBJECTS.length];
+        const role = ROLES[(n * 5 + 2) % ROLES.length];
+        const task = TASKS[n % TASKS.length].replace('{subject}', subject.toLowerCase());
+        const audience = AUDIENCES[(n >> 2) % AUDIENCES.length];
+
+        if (kind === 'createAgent') {
+            return JSON.stringify({
+                name_agent: `${adjective}${subject}${role}${n}`,
+                description: fitDescription(`An agent that ${task} ${audience}`),
+            });
+        }
+
+        return JSON.stringify({
+            title: `Looking for an agent that ${task}`,
+            description: fitDescription(`I need a ${subject.toLowerCase()} ${role.toLowerCase()} that ${task} ${audience}`),
+        });
+    }
+}
+
+// Providers in fallback order, built from the llm section of the config
+export function createProviders(llm, { transport } = {}) {
+    return llm.providers.map(type => {
+        switch (type) {
+            case 'openai':
+                return new OpenAiProvider({ ...llm.openai, temperature: llm.temperature, timeout: llm.timeoutMs, transport });
+            case 'ollama':
+                return new OllamaProvider({ ...llm.ollama, temperature: llm.temperature, timeout: llm.timeoutMs, transport });
+            case 'template':
+                // Seeded by the day so restarts on later days do not repeat earlier names
+                return new TemplateProvider({ seed: Math.floor(Date.now() / 86400000) * 1000 });
+            default:
+                throw new Error(`Unknown LLM provider "${type}"`);
+        }
+    });
+}
@@ -0,0 +1,86 @@
+import fs from 'fs';
+import path from 'path';
+
+function pad(n) {
+    return String(n).padStart(2, '0');
+}
+
+function dayOf(date) {
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function stampOf(date) {
+    return `${dayOf(date)}T${pad(date.getHours())}-${pad(date.getMinutes())}-${pad(date.getSeconds())}`;
+}
+
+/**
+ * Append-only log file rotated by size and by day.
+ *
+ * The live file keeps its name; a rotated file is renamed to `<file>.<day>`
+ * (day change) or `<file>.<day>T<time>` (size limit), which sort by age.
+ * Only the newest maxFiles rotated files are kept.
+ */
+export class RotatingFileSink {
+    constructor(file, { maxBytes = 10 * 1024 * 1024, maxFiles = 10, daily = true, now = () => new Date() } = {}) {
+        this.file = file;
+        this.maxBytes = maxBytes;
+        this.maxFiles = maxFiles;
+        this.daily = daily;
+        this.now = now;
+        this.fd = null;
+        this.#open();
+    }
+
+    #open() {
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        this.fd = fs.openSync(this.file, 'a', 0o600);
+        const stat = fs.fstatSync(this.fd);
+        this.size = stat.size;
+        this.day = dayOf(stat.size > 0 ? stat.mtime : this.now());
+    }
+
+    #rotate(stamp) {
+        fs.closeSync(this.fd);
+
+        let target = `${this.file}.${stamp}`;
+        for (let n = 1; fs.existsSync(target); n++) {
+            target = `${this.file}.${stamp}-${n}`;
+        }
+        fs.renameSync(this.file, target);
+
+        this.#prune();
+        this.#open();
+    }
+
+    // Delete the oldest rotated files beyond maxFiles
+    #prune() {
+        const dir = path.dirname(this.file);
+        const prefix = `${path.basename(this.file)}.`;
+        const rotated = fs.readdirSync(dir).filter(name => name.startsWith(prefix)).sort();
+        for (const name of rotated.slice(0, Math.max(0, rotated.length - this.maxFiles))) {
+            fs.rmSync(path.join(dir, name), { force: true });
+        }
+    }
+
+    write(line) {
+        const data = `${line}\n`;
+        const bytes = Buffer.byteLength(data);
+        const now = this.now();
+
+        if (this.size > 0 && this.daily && dayOf(now) !== this.day) {
+            this.#rotate(this.day);
+        } else if (this.size > 0 && this.size + bytes > this.maxBytes) {
+            this.#rotate(stampOf(now));
+        }
+
+        fs.writeSync(this.fd, data);
+        this.size += bytes;
+        this.day = dayOf(now);
+    }
+
+    close() {
+        if (this.fd === null) return;
+        fs.closeSync(this.fd);
+        this.fd = null;
+    }
+}
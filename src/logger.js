@@ -1,3 +1,8 @@
+import path from "path";
+import { AsyncLocalStorage } from "async_hooks";
+import { RotatingFileSink } from "./logfile.js";
+import { redact, redactValue } from "./redact.js";
+
 const COLORS = {
     reset: "\x1b[0m",
     gray: "\x1b[90m",
@@ -47,8 +52,27 @@ const config = {
     level: "debug",
     timestamp: true,
     showEmoji: true,
+    // Spinners only make sense on a terminal, not in piped or redirected output
+    spinner: Boolean(process.stdout.isTTY),
 };
 
+// Fields (account, address, cycle, task) attached to every line logged inside withContext
+const contextStorage = new AsyncLocalStorage();
+
+// JSON-lines file sinks; per-account sinks are opened on first use
+const files = {
+    main: null,
+    accountDir: null,
+    accounts: new Map(),
+    options: {},
+};
+
+// Replaces the console while set, e.g. by the live dashboard: receives every entry
+// that passes the level filter, and decorations (boxes, banners, spinners) are dropped
+let output = null;
+
+const ANSI = /\x1b\[[0-9;]*m/g;
+
 function formatTime() {
     const now = new Date();
     return now.toLocaleTimeString('en-US', { hour12: false });
@@ -59,11 +83,61 @@ function shouldLog(level) {
     return order.indexOf(level) >= order.indexOf(config.level);
 }
 
+function currentContext() {
+    return contextStorage.getStore() ?? {};
+}
+
+// Run fn with extra context fields; nested calls add to the outer ones
+function withContext(fields, fn) {
+    return contextStorage.run({ ...currentContext(), ...fields }, fn);
+}
+
+function accountSink(address) {
+    const key = address.toLowerCase();
+    if (!files.accounts.has(key)) {
+        files.accounts.set(key, new RotatingFileSink(path.join(files.accountDir, `${key}.log`), files.options));
+    }
+    return files.accounts.get(key);
+}
+
+function writeFiles(entry) {
+    if (!files.main && !files.accountDir) return;
+
+    try {
+        const line = JSON.stringify(entry);
+        files.main?.write(line);
+        if (files.accountDir && entry.address) accountSink(entry.address).write(line);
+    } catch (error) {
+        // A full disk must not take the bot down; report once and stop writing
+        console.error(`Log file write failed, file logging disabled: ${error.message}`);
+        closeFiles();
+    }
+}
+
 function log(level, message, meta = {}, context = "4BSCAI") {
     if (!shouldLog(level)) return;
 
+    // Nothing reaches the console or a log file before credentials are masked
+    message = redact(message);
+    meta = redactValue(meta ?? {});
+
     const time = formatTime();
     const { color, label, emoji } = LEVELS[level];
+    const fields = currentContext();
+
+    writeFiles({
+        time: new Date().toISOString(),
+        level,
+        context,
+        ...fields,
+        message: String(message).replace(ANSI, ""),
+        ...meta,
+    });
+
+    if (output) {
+        output({ time, level, context, ...fields, message });
+        return;
+    }
 
     if (!config.pretty) {
         console.log(
@@ -71,6 +145,7 @@ function log(level, message, meta = {}, context = "4BSCAI") {
                 time,
                 level,
                 context,
+                ...fields,
                 message,
                 ...meta,
             })
@@ -79,6 +154,7 @@ function log(level, message, meta = {}, context = "4BSCAI") {
     }
 
     const emojiStr = config.showEmoji ? `${emoji} ` : "";
+    const accountStr = fields.account ? `${COLORS.dim}[#${fields.account}${fields.task ? ` ${fields.task}` : ""}]${COLORS.reset} ` : "";
     const metaStr =
         Object.keys(meta).length > 0
             ? `\n${COLORS.dim}${JSON.stringify(meta, null, 2)}${COLORS.reset}`
@@ -88,15 +164,40 @@ function log(level, message, meta = {}, context = "4BSCAI") {
         `${COLORS.dim}[${time}]${COLORS.reset} ` +
         `${emojiStr}${color}${COLORS.bold}${label}${COLORS.reset} ` +
         `${COLORS.cyan}[${context}]${COLORS.reset} ` +
-        `${message}${metaStr}`
+        `${accountStr}${message}${metaStr}`
     );
 }
 
+function closeFiles() {
+    files.main?.close();
+    for (const sink of files.accounts.values()) sink.close();
+    files.main = null;
+    files.accountDir = null;
+    files.accounts.clear();
+}
+
+// Apply the log section of the config: level, console format and file sinks
+function configure({ level, format, file, accountDir, maxSizeMb = 10, maxFiles = 10, rotateDaily = true } = {}) {
+    if (level) config.level = level;
+    if (format) config.pretty = format !== "json";
+
+    closeFiles();
+    files.options = { maxBytes: Math.round(maxSizeMb * 1024 * 1024), maxFiles, daily: rotateDaily };
+    if (file) files.main = new RotatingFileSink(file, files.options);
+    if (accountDir) files.accountDir = accountDir;
+}
+
+function setOutput(fn) {
+    output = fn ?? null;
+}
+
 function separator(char = "─", length = 60) {
+    if (output) return;
     console.log(COLORS.dim + char.repeat(length) + COLORS.reset);
 }
 
 function header(title) {
+    if (output) return;
     const padding = 60;
     const titleLen = title.length;
     const pad = Math.floor((padding - titleLen - 2) / 2);
@@ -109,6 +210,7 @@ function header(title) {
 }
 
 function box(content, color = COLORS.cyan) {
+    if (output) return;
     const lines = content.split('\n');
     const maxLen = Math.max(...lines.map(l => l.length));
 
@@ -145,6 +247,8 @@ function countdown(seconds) {
 }
 
 function loading(text = "Loading") {
+    if (!config.spinner || output) return null;
+
     const frames = ["⠋", "⠙", "⠹", "⠸", "⠼", "⠴", "⠦", "⠧", "⠇", "⠏"];
     let i = 0;
 
@@ -155,17 +259,53 @@ function loading(text = "Loading") {
 }
 
 function stopLoading(interval) {
+    if (!interval) return;
     clearInterval(interval);
     process.stdout.write('\r' + ' '.repeat(50) + '\r');
 }
 
+// Show a spinner while fn runs and clear it even when fn throws
+async function withLoading(text, fn) {
+    const interval = loading(text);
+    try {
+        return await fn();
+    } finally {
+        stopLoading(interval);
+    }
+}
+
 function table(data) {
+    if (output) return;
     console.log(COLORS.cyan);
     console.table(data);
     console.log(COLORS.reset);
 }
 
+function visibleLength(text) {
+    return String(text).replace(ANSI, "").length;
+}
+
+// Rows of objects as a boxed table string; cells may contain colors
+function formatTable(rows) {
+    const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+    const cell = value => (value === undefined || value === null ? "" : String(value));
+    const widths = columns.map(column => Math.max(visibleLength(column), ...rows.map(row => visibleLength(cell(row[column])))));
+    const pad = (text, i) => text + " ".repeat(widths[i] - visibleLength(text));
+    const line = (left, middle, right) => COLORS.cyan + left + widths.map(w => "─".repeat(w + 2)).join(middle) + right + COLORS.reset;
+    const bar = `${COLORS.cyan}│${COLORS.reset}`;
+    const row = cells => `${bar} ${cells.map(pad).join(` ${bar} `)} ${bar}`;
+
+    return [
+        line("┌", "┬", "┐"),
+        row(columns.map(column => `${COLORS.bold}${column}${COLORS.reset}`)),
+        line("├", "┼", "┤"),
+        ...rows.map(r => row(columns.map(column => cell(r[column])))),
+        line("└", "┴", "┘"),
+    ].join("\n");
+}
+
 function banner(text, color = COLORS.green) {
+    if (output) return;
     const width = 60;
     const padding = Math.floor((width - text.length) / 2);
 
@@ -179,11 +319,17 @@ const logger = {
     config,
     COLORS,
     EMOJIS,
+    LEVELS,
     debug: (msg, meta, ctx) => log("debug", msg, meta, ctx),
     info: (msg, meta, ctx) => log("info", msg, meta, ctx),
     success: (msg, meta, ctx) => log("success", msg, meta, ctx),
     warn: (msg, meta, ctx) => log("warn", msg, meta, ctx),
     error: (msg, meta, ctx) => log("error", msg, meta, ctx),
+    configure,
+    closeFiles,
+    withContext,
+    currentContext,
+    setOutput,
     separator,
     header,
     box,
@@ -191,7 +337,9 @@ const logger = {
     countdown,
     loading,
     stopLoading,
+    withLoading,
     table,
+    formatTable,
     banner,
 };
 
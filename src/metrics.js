@@ -0,0 +1,203 @@
+import http from 'http';
+
+/**
+ * Minimal Prometheus text exposition (format 0.0.4) without dependencies.
+ *
+ * Counters and histograms are updated as things happen; collectors are
+ * called at scrape time for values that already live elsewhere, such as the
+ * per-account stats.
+ */
+
+const PREFIX = 'fourbsc_';
+const metrics = [];
+const collectors = [];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+}
+
+function header(name, help, type) {
+    return [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+}
+
+// Stable key for a label set
+function labelKey(labels) {
+    return JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+class Counter {
+    #values = new Map();
+
+    constructor(name, help) {
+        this.name = PREFIX + name;
+        this.help = help;
+    }
+
+    inc(labels = {}, amount = 1) {
+        const key = labelKey(labels);
+        const current = this.#values.get(key);
+        this.#values.set(key, { labels, value: (current?.value ?? 0) + amount });
+    }
+
+    get(labels = {}) {
+        return this.#values.get(labelKey(labels))?.value ?? 0;
+    }
+
+    render() {
+        const lines = header(this.name, this.help, 'counter');
+        for (const { labels, value } of this.#values.values()) {
+            lines.push(`${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+        }
+        return lines;
+    }
+
+    reset() {
+        this.#values.clear();
+    }
+}
+
+class Histogram {
+    #series = new Map();
+
+    constructor(name, help, buckets) {
+        this.name = PREFIX + name;
+        this.help = help;
+        this.buckets = [...buckets].sort((a, b) => a - b);
+    }
+
+    observe(labels = {}, value) {
+        const key = labelKey(labels);
+        let series = this.#series.get(key);
+        if (!series) {
+            series = { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+            this.#series.set(key, series);
+        }
+
+        this.buckets.forEach((bound, i) => {
+            if (value <= bound) series.counts[i]++;
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    // Time an async function, labelling the observation with the outcome
+    async time(labels, fn) {
+        const started = process.hrtime.bigint();
+        let outcome = 'ok';
+        try {
+            return await fn();
+        } catch (error) {
+            outcome = 'error';
+            throw error;
+        } finally {
+            this.observe({ ...labels, outcome }, Number(process.hrtime.bigint() - started) / 1e9);
+        }
+    }
+
+    render() {
+        const lines = header(this.name, this.help, 'histogram');
+        for (const { labels, counts, sum, count } of this.#series.values()) {
+            this.buckets.forEach((bound, i) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[i]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+            lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+            lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+        }
+        return lines;
+    }
+
+    reset() {
+        this.#series.clear();
+    }
+}
+
+export function counter(name, help) {
+    const metric = new Counter(name, help);
+    metrics.push(metric);
+    return metric;
+}
+
+export function histogram(name, help, buckets = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]) {
+    const metric = new Histogram(name, help, buckets);
+    metrics.push(metric);
+    return metric;
+}
+
+/**
+ * Register a scrape-time collector. It returns a list of
+ * { name, help, type: 'gauge' | 'counter', samples: [{ labels, value }] }.
+ */
+export function registerCollector(collect) {
+    collectors.push(collect);
+}
+
+// Shared metrics recorded across the bot
+export const apiDuration = histogram('api_request_duration_seconds', '4bsc API request latency by action and outcome.');
+export const rpcDuration = histogram('rpc_request_duration_seconds', 'JSON-RPC request latency by endpoint and outcome.');
+export const cycleDuration = histogram('cycle_duration_seconds', 'Duration of a processing cycle.', [10, 30, 60, 120, 300, 600, 1200, 3600]);
+export const cyclesTotal = counter('cycles_total', 'Processing cycles run.');
+export const retriesTotal = counter('retries_total', 'Retried API calls by error type.');
+export const rpcFailoversTotal = counter('rpc_failovers_total', 'RPC requests that failed over away from an endpoint.');
+
+// Whole exposition text, as served on /metrics
+export function renderMetrics() {
+    const lines = [];
+    for (const metric of metrics) {
+        lines.push(...metric.render());
+    }
+
+    for (const collect of collectors) {
+        for (const family of collect()) {
+            const name = PREFIX + family.name;
+            lines.push(...header(name, family.help, family.type));
+            for (const { labels = {}, value } of family.samples) {
+                lines.push(`${name}${formatLabels(labels)} ${formatValue(value)}`);
+            }
+        }
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+// Clear recorded values (collectors stay registered)
+export function resetMetrics() {
+    for (const metric of metrics) metric.reset();
+}
+
+// Serve GET /metrics on host:port; resolves with the listening server
+export function startMetricsServer({ host = '127.0.0.1', port }) {
+    const server = http.createServer((req, res) => {
+        if (req.method !== 'GET' || req.url.split('?')[0] !== '/metrics') {
+            res.writeHead(404, { 'content-type': 'text/plain' });
+            res.end('Not found\n');
+            return;
+        }
+
+        const body = renderMetrics();
+        res.writeHead(200, { 'content-type': 'text/plain; version=0.0.4; charset=utf-8' });
+        res.end(body);
+    });
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+            server.off('error', reject);
+            // Never keep the process alive just for metrics
+            server.unref();
+            resolve(server);
+        });
+    });
+}
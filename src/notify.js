@@ -0,0 +1,160 @@
+import axios from 'axios';
+import { getConfig } from './config.js';
+import logger from './logger.js';
+
+const COLORS = {
+    summary: 0x3498db,
+    auth_failed: 0xe74c3c,
+    tx_reverted: 0xe67e22,
+    low_gas: 0xf1c40f,
+};
+
+function escapeHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Telegram rejects HTML cut inside a tag or an entity, so whole lines are dropped until the text fits
+function fitLines(lines, limit) {
+    const kept = [...lines];
+    while (kept.length > 1 && `${kept.join('\n')}\n…`.length > limit) kept.pop();
+    return kept.length < lines.length ? `${kept.join('\n')}\n…` : kept.join('\n');
+}
+
+// Request body for one webhook in its format
+export function formatPayload(webhook, event, { title, message = '', fields = {} }, timestamp = new Date()) {
+    switch (webhook.format) {
+        case 'discord':
+            return {
+                username: '4BSC AI Bot',
+                embeds: [{
+                    title,
+                    description: message.slice(0, 4000),
+                    color: COLORS[event],
+                    fields: Object.entries(fields).map(([name, value]) => ({ name, value: String(value), inline: true })),
+                    timestamp: timestamp.toISOString(),
+                }],
+            };
+        case 'telegram': {
+            const lines = [`<b>${escapeHtml(title)}</b>`];
+            if (message) lines.push(...escapeHtml(message).split('\n'));
+            for (const [name, value] of Object.entries(fields)) {
+                lines.push(`${escapeHtml(name)}: <code>${escapeHtml(value)}</code>`);
+            }
+            return {
+                chat_id: webhook.chatId,
+                text: fitLines(lines, 4000),
+                parse_mode: 'HTML',
+                disable_web_page_preview: true,
+            };
+        }
+        default:
+            return { event, title, message, fields, timestamp: timestamp.toISOString() };
+    }
+}
+
+/**
+ * Sends bot events to webhooks.
+ *
+ * Each webhook gets only the events in its `events` list (all when empty),
+ * and at most maxPerWindow messages per event within windowMinutes. Messages
+ * over the limit are dropped and counted; the next one that goes out says how
+ * many were suppressed. Delivery never throws: failures are logged.
+ */
+export class Notifier {
+    #windows = new Map();
+    #pending = new Set();
+
+    constructor({ webhooks = [], maxPerWindow = 5, windowMinutes = 10, timeout = 10000, transport = axios, now = Date.now } = {}) {
+        this.webhooks = webhooks;
+        this.maxPerWindow = maxPerWindow;
+        this.windowMs = windowMinutes * 60 * 1000;
+        this.timeout = timeout;
+        this.transport = transport;
+        this.now = now;
+    }
+
+    // Whether this webhook may send this event now; counts suppressed messages
+    #allow(webhook, event) {
+        const key = `${webhook.url}|${event}`;
+        const now = this.now();
+        let window = this.#windows.get(key);
+        if (!window || now - window.start >= this.windowMs) {
+            window = { start: now, sent: 0, suppressed: window?.suppressed ?? 0 };
+            this.#windows.set(key, window);
+        }
+
+        if (window.sent >= this.maxPerWindow) {
+            window.suppressed++;
+            return null;
+        }
+
+        window.sent++;
+        const suppressed = window.suppressed;
+        window.suppressed = 0;
+        return { suppressed };
+    }
+
+    async #deliver(webhook, event, notification) {
+        try {
+            await this.transport.request({
+                method: 'POST',
+                url: webhook.url,
+                timeout: this.timeout,
+                headers: { 'Content-Type': 'application/json' },
+                data: formatPayload(webhook, event, notification),
+            });
+        } catch (error) {
+            const reason = error.response ? `HTTP ${error.response.status}` : error.code || error.message;
+            logger.warn(`Webhook ${webhook.format} notification (${event}) failed: ${reason}`);
+        }
+    }
+
+    // Queue delivery of an event to every interested webhook; resolves when all were attempted
+    notify(event, notification) {
+        const deliveries = [];
+
+        for (const webhook of this.webhooks) {
+            if (webhook.events?.length && !webhook.events.includes(event)) continue;
+
+            const allowed = this.#allow(webhook, event);
+            if (!allowed) continue;
+
+            const message = allowed.suppressed > 0
+                ? `${notification.message ?? ''}\n(${allowed.suppressed} similar notification(s) suppressed by rate limit)`.trim()
+                : notification.message;
+
+            const delivery = this.#deliver(webhook, event, { ...notification, message });
+            this.#pending.add(delivery);
+            delivery.finally(() => this.#pending.delete(delivery));
+            deliveries.push(delivery);
+        }
+
+        return Promise.all(deliveries).then(() => undefined);
+    }
+
+    // Wait for deliveries still in flight, e.g. before the process exits
+    async flush() {
+        await Promise.all([...this.#pending]);
+    }
+}
+
+let notifier = null;
+
+// Notifier built from the notify section of the config
+export function getNotifier() {
+    if (!notifier) {
+        const { webhooks, maxPerWindow, windowMinutes } = getConfig().notify;
+        notifier = new Notifier({ webhooks, maxPerWindow, windowMinutes });
+    }
+    return notifier;
+}
+
+// Replace the shared notifier (tests, or a reloaded config)
+export function setNotifier(next) {
+    notifier = next;
+}
+
+// Fire-and-forget: the bot never waits on or fails because of a webhook
+export function notify(event, notification) {
+    getNotifier().notify(event, notification);
+}
@@ -0,0 +1,140 @@
+import { Interface } from 'ethers';
+import { CONTRACT_ABI } from './ABI.js';
+
+/**
+ * Check that every agent and request in the ledger was registered on chain
+ * exactly once, by the wallet that created it, with the same name.
+ *
+ * The deployed contract's events are not part of CONTRACT_ABI, so logs are
+ * only used to find the blocks in which the contract did something. Each of
+ * those blocks is fetched once with its transactions; the ones the given
+ * wallets sent to the contract are decoded with the known
+ * addNewAgent/addNewRequest definitions. Transactions recorded in the ledger
+ * that the scan does not cover are looked up directly, so they are checked
+ * even when they reverted or fall outside the scanned range.
+ */
+
+const iface = new Interface(CONTRACT_ABI);
+
+const KINDS = { addNewAgent: 'agent', addNewRequest: 'request' };
+
+// Decoded registration from a mined transaction, or null when it is no registration
+function decodeRegistration(tx, receipt) {
+    let call;
+    try {
+        call = iface.parseTransaction({ data: tx.data });
+    } catch {
+        return null;
+    }
+    if (!call || !KINDS[call.name]) return null;
+
+    const [id, name, description] = call.args;
+    return {
+        hash: tx.hash,
+        from: tx.from,
+        blockNumber: receipt.blockNumber,
+        success: receipt.status === 1,
+        kind: KINDS[call.name],
+        id: id.toString(),
+        name,
+        description,
+    };
+}
+
+// Registrations the given wallets sent to the contract in the block range, scanned
+// in chunks. Only transactions that made the contract emit a log are decoded:
+// a reverted transaction emits none.
+export async function scanRegistrations(provider, { address, wallets, fromBlock, toBlock, chunkBlocks }) {
+    const senders = new Set(wallets.map(wallet => wallet.toLowerCase()));
+    const registrations = [];
+    if (senders.size === 0) return registrations;
+
+    for (let start = fromBlock; start <= toBlock; start += chunkBlocks) {
+        const end = Math.min(start + chunkBlocks - 1, toBlock);
+        const logs = await provider.getLogs({ address, fromBlock: start, toBlock: end });
+        const logged = new Set(logs.map(log => log.transactionHash));
+
+        for (const number of new Set(logs.map(log => log.blockNumber))) {
+            const block = await provider.getBlock(number, true);
+            for (const tx of block?.prefetchedTransactions ?? []) {
+                if (!logged.has(tx.hash) || tx.to?.toLowerCase() !== address.toLowerCase() || !senders.has(tx.from.toLowerCase())) continue;
+
+                const registration = decodeRegistration(tx, { blockNumber: number, status: 1 });
+                if (registration) registrations.push(registration);
+            }
+        }
+    }
+    return registrations;
+}
+
+/**
+ * Registrations sent by the given wallets: from the scanned blocks plus the
+ * given transaction hashes that the scan did not cover. Transactions
+ * that are not mined or not sent to the contract are left out.
+ */
+export async function findRegistrations(provider, { address, wallets, hashes, fromBlock, toBlock, chunkBlocks }) {
+    const senders = new Set(wallets.map(wallet => wallet.toLowerCase()));
+    const registrations = await scanRegistrations(provider, { address, wallets, fromBlock, toBlock, chunkBlocks });
+    const covered = new Set(registrations.map(registration => registration.hash));
+
+    for (const hash of new Set(hashes)) {
+        if (covered.has(hash)) continue;
+        const [tx, receipt] = await Promise.all([provider.getTransaction(hash), provider.getTransactionReceipt(hash)]);
+        if (!tx || !receipt) continue;
+        if (tx.to?.toLowerCase() !== address.toLowerCase() || !senders.has(tx.from.toLowerCase())) continue;
+
+        const registration = decodeRegistration(tx, receipt);
+        if (registration) registrations.push(registration);
+    }
+    return registrations.sort((a, b) => a.blockNumber - b.blockNumber);
+}
+
+/**
+ * Compare ledger items (latest entry per item) with on-chain registrations.
+ * Every item lands in exactly one of:
+ * ok         - one successful registration, by its wallet, with its name
+ * missing    - no successful registration found
+ * duplicate  - registered more than once
+ * mismatched - registered by another wallet, or with a different name or description
+ * Successful registrations by these wallets that are not in the ledger are listed as unknown.
+ */
+export function reconcile(items, registrations) {
+    const report = { ok: [], missing: [], duplicate: [], mismatched: [], unknown: [] };
+    const byItem = new Map();
+    for (const registration of registrations.filter(r => r.success)) {
+        const key = `${registration.kind}|${registration.id}`;
+        byItem.set(key, [...(byItem.get(key) ?? []), registration]);
+    }
+
+    const known = new Set();
+    for (const item of items) {
+        const key = `${item.kind}|${item.id}`;
+        known.add(key);
+        const found = byItem.get(key) ?? [];
+        const own = found.filter(r => r.from.toLowerCase() === String(item.account).toLowerCase());
+        const row = { ...item, txHashes: found.map(r => r.hash) };
+
+        if (found.length === 0) {
+            report.missing.push({ ...row, reason: `no successful registration (ledger status: ${item.status})` });
+        } else if (own.length === 0) {
+            report.mismatched.push({ ...row, reason: `registered by ${found.map(r => r.from).join(', ')}` });
+        } else if (found.length > 1) {
+            report.duplicate.push({ ...row, reason: `registered ${found.length} times` });
+        } else if (item.name !== undefined && own[0].name !== item.name) {
+            report.mismatched.push({ ...row, reason: `on-chain name "${own[0].name}" differs from "${item.name}"` });
+        } else if (item.kind === 'agent' && item.description !== undefined && own[0].description !== item.description) {
+            report.mismatched.push({ ...row, reason: 'on-chain description differs' });
+        } else {
+            report.ok.push(row);
+        }
+    }
+
+    for (const [key, found] of byItem) {
+        if (known.has(key)) continue;
+        for (const registration of found) {
+            report.unknown.push({ ...registration, reason: 'registered on chain but not in the ledger' });
+        }
+    }
+
+    return report;
+}
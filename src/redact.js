@@ -0,0 +1,63 @@
+import util from 'util';
+
+/**
+ * Masks credentials in anything that is about to be printed or written to a log file.
+ *
+ * Known secrets (private keys, session tokens, API keys) are registered when
+ * they are loaded and replaced wherever they appear. Patterns catch the rest:
+ * bearer tokens, JWTs, 65-byte signatures and `key: value` / `key=value` pairs
+ * whose key names a credential and whose value looks like one: at least 8
+ * token characters including a digit, so placeholders such as `PRIVATE_KEY=0x...`,
+ * `API_KEY=your-key` or `Token: valid` stay readable. Transaction hashes and
+ * addresses are left alone.
+ */
+
+export const MASK = '[REDACTED]';
+
+const secrets = new Set();
+
+const PATTERNS = [
+    [/\b(Bearer\s+)[^\s'",;}]+/gi, `$1${MASK}`],
+    [/\beyJ[\w-]+\.[\w-]+\.[\w-]+/g, MASK],
+    [/\b0x[0-9a-fA-F]{130}(?![0-9a-fA-F])/g, MASK],
+    [/\b([\w-]*(?:token|api[_-]?key|apikey|private[_-]?key|privatekey|password|secret|signature)["']?\s*[:=]\s*["']?)(?=[\w+/=.~-]*\d)[\w+/=.~-]{8,}(?![\w+/=.~-])/gi, `$1${MASK}`],
+];
+
+const SECRET_KEY = /^(authorization|[\w-]*(token|api[_-]?key|apikey|private[_-]?key|privatekey|password|secret|signature))$/i;
+
+// Remember a value that must never be printed; short values are ignored to avoid masking ordinary text
+export function registerSecret(value) {
+    if (typeof value !== 'string' || value.length < 8) return;
+    secrets.add(value);
+    // Private keys may be written with or without the 0x prefix
+    if (/^0x[0-9a-fA-F]{64}$/.test(value)) secrets.add(value.slice(2));
+}
+
+export function clearSecrets() {
+    secrets.clear();
+}
+
+export function redact(text) {
+    let result = String(text);
+    for (const secret of secrets) {
+        result = result.split(secret).join(MASK);
+    }
+    for (const [pattern, replacement] of PATTERNS) {
+        result = result.replace(pattern, replacement);
+    }
+    return result;
+}
+
+// Deep copy of a log meta object with credential fields masked and strings redacted
+export function redactValue(value, seen = new WeakSet()) {
+    if (typeof value === 'string') return redact(value);
+    if (!value || typeof value !== 'object') return value;
+    if (value instanceof Error) return redact(util.inspect(value, { depth: 3 }));
+    if (seen.has(value)) return '[Circular]';
+    seen.add(value);
+
+    if (Array.isArray(value)) return value.map(item => redactValue(item, seen));
+    return Object.fromEntries(Object.entries(value).map(([key, item]) =>
+        [key, SECRET_KEY.test(key) && item ? MASK : redactValue(item, seen)]
+    ));
+}
@@ -0,0 +1,163 @@
+import { JsonRpcApiProvider, FetchRequest, Network } from 'ethers';
+import logger from './logger.js';
+import { rpcDuration, rpcFailoversTotal } from './metrics.js';
+
+let requestId = 0;
+
+function rpcPayload(method, params = []) {
+    return { jsonrpc: '2.0', id: ++requestId, method, params };
+}
+
+// Host of an RPC url: what logs, metrics and the state file show, since the path may hold an API key
+export function endpointLabel(url) {
+    try {
+        return new URL(url).host;
+    } catch {
+        return 'invalid url';
+    }
+}
+
+/**
+ * One provider over several RPC endpoints.
+ *
+ * Endpoints are health-checked (chainId, block height, latency) at most every
+ * healthIntervalMs; each JSON-RPC request goes to the fastest healthy one and
+ * fails over to the next on a transport error, timeout or non-2xx response.
+ * JSON-RPC errors such as reverts are answers, not failures, and never fail over.
+ * Endpoints are reported by their `label` (the host, numbered when shared), never by url.
+ */
+export class FailoverRpcProvider extends JsonRpcApiProvider {
+    #health = null;
+
+    constructor(urls, {
+        chainId = 56,
+        maxBlockLag = 5,
+        healthIntervalMs = 60000,
+        timeoutMs = 10000,
+    } = {}) {
+        if (!urls || urls.length === 0) {
+            throw new Error('FailoverRpcProvider needs at least one RPC url');
+        }
+
+        const network = Network.from(chainId);
+        super(network, { staticNetwork: network, batchMaxCount: 1 });
+
+        this.chainId = BigInt(chainId);
+        this.maxBlockLag = maxBlockLag;
+        this.healthIntervalMs = healthIntervalMs;
+        this.timeoutMs = timeoutMs;
+        this.checkedAt = 0;
+        const hosts = new Map();
+        this.endpoints = urls.map(url => {
+            const host = endpointLabel(url);
+            hosts.set(host, (hosts.get(host) ?? 0) + 1);
+            return { url, label: hosts.get(host) > 1 ? `${host} #${hosts.get(host)}` : host };
+        }).map(endpoint => ({
+            ...endpoint,
+            healthy: true,
+            reason: null,
+            chainId: null,
+            blockNumber: null,
+            latency: null,
+            served: 0,
+        }));
+
+        // tx hash -> label of the endpoint that broadcast it
+        this.broadcasts = new Map();
+    }
+
+    async #post(url, payload) {
+        const request = new FetchRequest(url);
+        request.timeout = this.timeoutMs;
+        request.body = payload;
+        request.setHeader('content-type', 'application/json');
+
+        const response = await request.send();
+        response.assertOk();
+        return response.bodyJson;
+    }
+
+    async #call(url, method) {
+        const response = await this.#post(url, rpcPayload(method));
+        if (response.error) throw new Error(response.error.message);
+        return response.result;
+    }
+
+    // Probe every endpoint and mark wrong-chain, failing or lagging ones unhealthy
+    async checkHealth() {
+        await Promise.all(this.endpoints.map(async endpoint => {
+            const started = Date.now();
+            try {
+                endpoint.chainId = BigInt(await this.#call(endpoint.url, 'eth_chainId'));
+                endpoint.blockNumber = Number(await this.#call(endpoint.url, 'eth_blockNumber'));
+                endpoint.latency = Date.now() - started;
+                endpoint.healthy = endpoint.chainId === this.chainId;
+                endpoint.reason = endpoint.healthy ? null : `wrong chainId ${endpoint.chainId}`;
+            } catch (error) {
+                endpoint.healthy = false;
+                endpoint.latency = null;
+                endpoint.reason = error.shortMessage || error.message;
+            }
+        }));
+
+        const tip = Math.max(...this.endpoints.filter(e => e.healthy).map(e => e.blockNumber));
+        for (const endpoint of this.endpoints) {
+            if (endpoint.healthy && tip - endpoint.blockNumber > this.maxBlockLag) {
+                endpoint.healthy = false;
+                endpoint.reason = `${tip - endpoint.blockNumber} blocks behind`;
+            }
+        }
+
+        this.checkedAt = Date.now();
+        return this.endpoints;
+    }
+
+    async #ensureHealth() {
+        if (Date.now() - this.checkedAt < this.healthIntervalMs) return;
+        this.#health ??= this.checkHealth().finally(() => { this.#health = null; });
+        await this.#health;
+    }
+
+    // Healthy endpoints fastest first, unhealthy ones after them as a last resort
+    #ranked() {
+        const healthy = this.endpoints.filter(e => e.healthy).sort((a, b) => (a.latency ?? Infinity) - (b.latency ?? Infinity));
+        const unhealthy = this.endpoints.filter(e => !e.healthy);
+        return [...healthy, ...unhealthy];
+    }
+
+    async _send(payload) {
+        await this.#ensureHealth();
+
+        let lastError = null;
+        for (const endpoint of this.#ranked()) {
+            const started = Date.now();
+            try {
+                const response = await rpcDuration.time({ endpoint: endpoint.label }, () => this.#post(endpoint.url, payload));
+                endpoint.latency = Date.now() - started;
+                endpoint.served++;
+
+                const results = Array.isArray(response) ? response : [response];
+                const payloads = Array.isArray(payload) ? payload : [payload];
+                payloads.forEach((request, i) => {
+                    if (request.method === 'eth_sendRawTransaction' && results[i]?.result) {
+                        this.broadcasts.set(results[i].result, endpoint.label);
+                    }
+                });
+                return results;
+            } catch (error) {
+                lastError = error;
+                endpoint.healthy = false;
+                endpoint.reason = error.shortMessage || error.message;
+                rpcFailoversTotal.inc({ endpoint: endpoint.label });
+                logger.warn(`RPC ${endpoint.label} failed (${endpoint.reason}), failing over...`);
+            }
+        }
+
+        throw lastError;
+    }
+
+    // Endpoint that broadcast a transaction, for reporting
+    endpointFor(hash) {
+        return this.broadcasts.get(hash) ?? null;
+    }
+}
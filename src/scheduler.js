@@ -0,0 +1,74 @@
+/**
+ * Priority queue of accounts ordered by the time their next run is due.
+ * Accounts are few, so the queue is a sorted array with binary insertion.
+ */
+export class AccountScheduler {
+    #queue = [];
+
+    // Queue an account at dueAt (ms), replacing any earlier entry for it
+    schedule(account, dueAt) {
+        this.remove(account);
+
+        let low = 0;
+        let high = this.#queue.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (this.#queue[mid].dueAt <= dueAt) low = mid + 1;
+            else high = mid;
+        }
+        this.#queue.splice(low, 0, { account, dueAt });
+    }
+
+    remove(account) {
+        this.#queue = this.#queue.filter(entry => entry.account !== account);
+    }
+
+    // Entry due first, or null when nothing is scheduled
+    peek() {
+        return this.#queue[0] ?? null;
+    }
+
+    // Remove and return every account due at or before now, earliest first
+    takeDue(now = Date.now()) {
+        const count = this.#queue.findIndex(entry => entry.dueAt > now);
+        const due = this.#queue.splice(0, count === -1 ? this.#queue.length : count);
+        return due.map(entry => entry.account);
+    }
+
+    // Every scheduled entry, earliest first
+    upcoming() {
+        return this.#queue.map(entry => ({ ...entry }));
+    }
+
+    get size() {
+        return this.#queue.length;
+    }
+}
+
+/**
+ * When an account should run next, from its stats after a run.
+ *
+ * A successful run waits for the platform cooldown (cooldownEndTime, seconds)
+ * plus a safety margin against clock skew between us and the server, but at
+ * least retryMinutes in case the server's finish_time was stale. A failed run
+ * is retried after retryMinutes. Nothing waits longer than maxWaitHours.
+ */
+export function nextRunAt(stats, { safetyMarginSeconds, retryMinutes, maxWaitHours }, now = Date.now()) {
+    const retryAt = now + retryMinutes * 60 * 1000;
+    const latest = now + maxWaitHours * 60 * 60 * 1000;
+
+    if (stats?.lastStatus !== 'ok' || !stats.cooldownEndTime) {
+        return Math.min(retryAt, latest);
+    }
+
+    const cooldownAt = (stats.cooldownEndTime + safetyMarginSeconds) * 1000;
+    return Math.min(Math.max(cooldownAt, retryAt), latest);
+}
+
+// First run after startup: right away, unless a saved cooldown is still running
+export function initialRunAt(stats, { safetyMarginSeconds, maxWaitHours }, now = Date.now()) {
+    if (stats?.lastStatus !== 'ok' || !stats.cooldownEndTime) return now;
+
+    const cooldownAt = (stats.cooldownEndTime + safetyMarginSeconds) * 1000;
+    return Math.min(Math.max(now, cooldownAt), now + maxWaitHours * 60 * 60 * 1000);
+}
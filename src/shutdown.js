@@ -0,0 +1,60 @@
+import { setTimeout as delay } from 'timers/promises';
+
+/**
+ * Cooperative shutdown.
+ *
+ * A signal only sets the flag: the bot checks it before starting an account
+ * or a task and stops there, while work already started (a platform write
+ * and its on-chain registration) runs to completion. Sleeps end early so a
+ * waiting bot stops right away.
+ */
+
+let signal = null;
+let controller = new AbortController();
+const inFlight = new Map();
+let nextId = 0;
+
+export function requestShutdown(reason = 'shutdown') {
+    if (signal) return;
+    signal = reason;
+    controller.abort();
+}
+
+export function isShuttingDown() {
+    return signal !== null;
+}
+
+// Signal (or other reason) that requested the shutdown, null while running
+export function shutdownReason() {
+    return signal;
+}
+
+// Sleep that returns early once shutdown is requested
+export async function interruptibleSleep(ms) {
+    try {
+        await delay(ms, undefined, { signal: controller.signal });
+    } catch (error) {
+        if (error.name !== 'AbortError') throw error;
+    }
+}
+
+// Run fn as named in-flight work, so a shutdown can say what it is waiting for
+export async function trackInFlight(label, fn) {
+    const id = nextId++;
+    inFlight.set(id, label);
+    try {
+        return await fn();
+    } finally {
+        inFlight.delete(id);
+    }
+}
+
+export function inFlightWork() {
+    return [...inFlight.values()];
+}
+
+// Back to the running state (tests)
+export function resetShutdown() {
+    signal = null;
+    controller = new AbortController();
+}
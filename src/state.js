@@ -0,0 +1,59 @@
+import fs from 'fs';
+import path from 'path';
+import logger from './logger.js';
+
+const STATE_VERSION = 1;
+
+function emptyState() {
+    return { version: STATE_VERSION, savedAt: null, accounts: {} };
+}
+
+// Load session/stats state from disk, starting fresh if the file is missing
+export function loadState(file) {
+    let raw;
+    try {
+        raw = fs.readFileSync(file, 'utf-8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return emptyState();
+        throw error;
+    }
+
+    try {
+        const state = JSON.parse(raw);
+        if (!state || typeof state !== 'object' || typeof state.accounts !== 'object') {
+            throw new Error('missing accounts section');
+        }
+        return { ...emptyState(), ...state };
+    } catch (error) {
+        // Keep the unreadable file around for inspection instead of overwriting it
+        const backup = `${file}.corrupt-${Date.now()}`;
+        fs.renameSync(file, backup);
+        logger.warn(`State file ${file} is unreadable (${error.message}), moved to ${backup}`);
+        return emptyState();
+    }
+}
+
+// Write state atomically: temp file in the same directory, fsync, then rename over the target
+export function saveState(file, state) {
+    const dir = path.dirname(path.resolve(file));
+    const tmp = path.join(dir, `.${path.basename(file)}.${process.pid}.tmp`);
+
+    state.savedAt = new Date().toISOString();
+    const fd = fs.openSync(tmp, 'w', 0o600);
+    try {
+        fs.writeSync(fd, JSON.stringify(state, null, 2));
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+    fs.renameSync(tmp, file);
+}
+
+// Accounts are keyed by address so reordering keys in .env keeps their history
+export function getAccountState(state, address) {
+    const key = address.toLowerCase();
+    if (!state.accounts[key]) {
+        state.accounts[key] = { address, session: null, stats: null };
+    }
+    return state.accounts[key];
+}
@@ -0,0 +1,54 @@
+/**
+ * What every account is doing right now, for the live dashboard.
+ *
+ * The bot reports a phase whenever an account moves on to the next step;
+ * listeners are told about each change. Phases only live in memory and are
+ * never saved with the account stats.
+ */
+
+export const PHASES = {
+    QUEUED: 'queued',
+    AUTHENTICATING: 'authenticating',
+    CHECKING: 'checking tasks',
+    GENERATING: 'generating',
+    CREATING: 'creating',
+    WAITING_TX: 'waiting for tx',
+    DONE: 'done',
+    FAILED: 'failed',
+};
+
+const phases = new Map();
+const listeners = new Set();
+let cycle = null;
+
+export function setPhase(accountIndex, phase) {
+    phases.set(accountIndex, phase);
+    for (const listener of listeners) listener(accountIndex, phase);
+}
+
+export function getPhase(accountIndex) {
+    return phases.get(accountIndex) ?? null;
+}
+
+// A new cycle queues its accounts, so progress counts only what finished in this cycle
+export function startCycle(number, accounts) {
+    cycle = { number, accounts: [...accounts] };
+    for (const accountIndex of accounts) setPhase(accountIndex, PHASES.QUEUED);
+}
+
+// Number and accounts of the current cycle, null before the first one
+export function currentCycle() {
+    return cycle;
+}
+
+// Call fn(accountIndex, phase) on every change; returns a function that unsubscribes
+export function onPhase(fn) {
+    listeners.add(fn);
+    return () => listeners.delete(fn);
+}
+
+// Forget every phase and the cycle (tests)
+export function resetPhases() {
+    phases.clear();
+    cycle = null;
+}
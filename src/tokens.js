@@ -0,0 +1,55 @@
+/**
+ * Session token lifecycle.
+ *
+ * A token is used only while it stays valid for at least refreshMarginSeconds
+ * more, so it cannot expire halfway through an account's tasks; otherwise the
+ * account logs in again before it starts. The expiry is the earlier of the
+ * server's token_expire_time and the `exp` claim when the token is a JWT.
+ */
+
+// Seconds; a larger number can only be milliseconds (the year 5138 in seconds)
+const MAX_SECONDS = 1e11;
+
+function toSeconds(value) {
+    const number = Number(value);
+    if (!Number.isFinite(number) || number <= 0) return null;
+    return number > MAX_SECONDS ? Math.floor(number / 1000) : number;
+}
+
+// `exp` claim of a JWT in seconds, or null when the token is no JWT or has none
+export function decodeJwtExpiry(token) {
+    const parts = typeof token === 'string' ? token.split('.') : [];
+    if (parts.length !== 3) return null;
+
+    try {
+        const payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf-8'));
+        return toSeconds(payload?.exp);
+    } catch {
+        return null;
+    }
+}
+
+export class TokenManager {
+    constructor({ refreshMarginSeconds = 600, now = () => Date.now() } = {}) {
+        this.refreshMarginSeconds = refreshMarginSeconds;
+        this.now = now;
+    }
+
+    // Expiry of the session in seconds, or null when neither the server nor the token says
+    expiresAt(tokenData) {
+        const known = [toSeconds(tokenData?.token_expire_time), decodeJwtExpiry(tokenData?.token)].filter(value => value !== null);
+        return known.length > 0 ? Math.min(...known) : null;
+    }
+
+    secondsLeft(tokenData) {
+        const expiry = this.expiresAt(tokenData);
+        return expiry === null ? null : expiry - Math.floor(this.now() / 1000);
+    }
+
+    // Usable for a whole account run. Tokens without a known expiry are kept until the API rejects them.
+    isFresh(tokenData) {
+        if (!tokenData?.token) return false;
+        const left = this.secondsLeft(tokenData);
+        return left === null || left > this.refreshMarginSeconds;
+    }
+}
@@ -1,33 +1,122 @@
-import { send_contract_tx } from "./contract.js";
+import {
+    send_contract_tx,
+    estimate_contract_cost,
+    get_balance,
+    find_contract_tx,
+    TransactionManager,
+    TX_STATUS,
+} from "./contract.js";
 import { CONTRACT_ABI } from "./ABI.js";
-import dotenv from 'dotenv';
-dotenv.config();
+import { FailoverRpcProvider } from "./rpc.js";
+import { getConfig } from "./config.js";
+import logger from "./logger.js";
 
 
-const CONTRACT_ADDRESS = "0xb3Ad998AF21485562eCd7eA700eF695135cbB491"; 
-const RPC_URL = "https://bsc.meowrpc.com/";
-const private_key = process.env.PRIVATE_KEY;
+let provider = null;
 
+// One provider for the whole process, created on first use
+export function getProvider() {
+    const { rpc } = getConfig();
+    provider ??= new FailoverRpcProvider(rpc.urls, {
+        chainId: rpc.chainId,
+        maxBlockLag: rpc.maxBlockLag,
+        healthIntervalMs: rpc.healthIntervalMs,
+        timeoutMs: rpc.timeoutMs,
+    });
+    return provider;
+}
 
-export async function contractCall(method, requestId, newRequest, description) {
+let txManager = null;
+
+// Shared by all accounts so each wallet's pending nonce is tracked across calls
+function getTxManager() {
+    const { tx } = getConfig();
+    txManager ??= new TransactionManager({
+        confirmations: tx.confirmations,
+        timeout_ms: tx.timeoutMs,
+        poll_interval_ms: tx.pollIntervalMs,
+        max_replacements: tx.maxReplacements,
+        gas_bump_percent: tx.gasBumpPercent,
+    });
+    return txManager;
+}
+
+// Used for the preflight when the node cannot estimate a registration
+const FALLBACK_GAS = {
+    addNewAgent: 250000,
+    addNewRequest: 200000,
+};
+
+
+// signer must belong to the wallet that logged in as expectedAddress.
+// With dryRun the call is only estimated and simulated, nothing is broadcast, and errors
+// are thrown so the caller can tell a contract revert from a broken setup.
+// onBroadcast(hash) is awaited as soon as each transaction hash is broadcast.
+export async function contractCall(signer, expectedAddress, method, args, { dryRun = false, onBroadcast } = {}) {
     try {
-        const argument = [requestId, newRequest];
-        if (description) {
-            argument.push(description);
+        if (!signer || !expectedAddress || signer.address.toLowerCase() !== expectedAddress.toLowerCase()) {
+            throw new Error(`Signer ${signer?.address} does not match authenticated wallet ${expectedAddress}, refusing to send`);
         }
 
         const txResult = await send_contract_tx({
-            rpc_url: RPC_URL,
-            private_key,
-            contract_address: CONTRACT_ADDRESS,
+            provider: getProvider(),
+            signer,
+            contract_address: getConfig().contract.address,
             abi: CONTRACT_ABI,
             method,
-            args: argument,
+            args,
+            dry_run: dryRun,
+            tx_manager: getTxManager(),
+            on_broadcast: onBroadcast,
         });
 
         return txResult;
     } catch (error) {
-        console.error(`Error calling ${method}:`, error);
+        if (dryRun) throw error;
+        logger.error(`Error calling ${method}: ${error.shortMessage ?? error.message}`, { error });
+        return null;
+    }
+}
+
+// Estimated gas and cost of a registration, for the balance preflight
+export async function estimateCallCost(signer, method, args) {
+    return estimate_contract_cost({
+        provider: getProvider(),
+        signer,
+        contract_address: getConfig().contract.address,
+        abi: CONTRACT_ABI,
+        method,
+        args,
+        fallback_gas: FALLBACK_GAS[method],
+    });
+}
+
+export async function getBalance(address) {
+    return get_balance({ provider: getProvider(), address });
+}
+
+// Confirmed or replaced: the call landed successfully
+export function isTxSuccess(txResult) {
+    return txResult?.status === TX_STATUS.CONFIRMED || txResult?.status === TX_STATUS.REPLACED;
+}
+
+// The contract itself rejected the call, as opposed to a transport, address or decoding problem
+export function isContractRevert(error) {
+    return error?.code === 'CALL_EXCEPTION' && typeof error.data === 'string';
+}
+
+// Result of whichever of these earlier transactions was mined, a pending result while one
+// is still in the mempool, or null
+export async function findTransaction(hashes) {
+    try {
+        return await find_contract_tx({ provider: getProvider(), hashes, tx_manager: getTxManager() });
+    } catch (error) {
+        logger.error(`Error looking up transactions: ${error.shortMessage ?? error.message}`, { error });
         return null;
     }
-}
\ No newline at end of file
+}
+
+// Health of every configured RPC endpoint, re-checked now
+export async function checkRpcHealth() {
+    return getProvider().checkHealth();
+}
@@ -0,0 +1,95 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { resolveConfig, parseCliOverrides, ConfigError } from '../src/config.js';
+
+let dir;
+
+before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), '4bsc-config-'));
+});
+
+after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function writeConfig(content) {
+    const file = path.join(dir, `config-${Math.random().toString(36).slice(2)}.json`);
+    fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+    return file;
+}
+
+test('defaults apply when nothing is configured', () => {
+    const config = resolveConfig({ env: {}, file: writeConfig({}) });
+
+    assert.equal(config.retry.maxRetries, 3);
+    assert.equal(config.schedule.waitHours, 12);
+    assert.equal(config.llm.openai.model, 'nova-fast');
+    assert.deepEqual(config.llm.providers, ['openai', 'template']);
+    assert.equal(config.rpc.urls.length, 3);
+    assert.equal(config.dryRun, false);
+    assert.ok(Object.isFrozen(config.rpc));
+});
+
+test('file, environment and command line override in that order', () => {
+    const file = writeConfig({ retry: { maxRetries: 5, delayMs: 100 }, llm: { openai: { model: 'file-model' } }, schedule: { waitHours: 6 } });
+    const env = { MAX_RETRIES: '7', WAIT_HOURS: '8', RPC_URLS: 'http://a.test, http://b.test' };
+
+    const config = resolveConfig({ env, file, argv: ['run', '--retry.maxRetries=9', '--dry-run'] });
+
+    assert.equal(config.retry.maxRetries, 9);
+    assert.equal(config.retry.delayMs, 100);
+    assert.equal(config.llm.openai.model, 'file-model');
+    assert.equal(config.schedule.waitHours, 8);
+    assert.deepEqual(config.rpc.urls, ['http://a.test', 'http://b.test']);
+    assert.equal(config.dryRun, true);
+});
+
+test('every invalid value is reported at once', () => {
+    const file = writeConfig({ retry: { maxRetries: 0 }, contract: { address: '0x123' }, llm: { modle: 'typo' } });
+    const env = { LLM_TEMPERATURE: 'hot', API_URL: 'ftp://example.test' };
+
+    assert.throws(() => resolveConfig({ env, file }), error => {
+        assert.ok(error instanceof ConfigError);
+        assert.equal(error.problems.length, 5);
+        assert.match(error.message, /retry\.maxRetries .*must be >= 1/);
+        assert.match(error.message, /contract\.address .*expected a 0x-prefixed contract address/);
+        assert.match(error.message, /llm\.modle in .*unknown setting/);
+        assert.match(error.message, /llm\.temperature \(env LLM_TEMPERATURE\): expected a number/);
+        assert.match(error.message, /api\.url \(env API_URL\): expected an http\(s\) URL/);
+        return true;
+    });
+});
+
+test('a shutdown timeout shorter than one transaction wait is rejected', () => {
+    assert.throws(() => resolveConfig({ env: { SHUTDOWN_TIMEOUT: '90000', TX_TIMEOUT: '180000' } }), /shutdown\.timeoutMs: must be >= tx\.timeoutMs \(180000\), got 90000/);
+    assert.equal(resolveConfig({ env: { SHUTDOWN_TIMEOUT: '90000', TX_TIMEOUT: '60000' } }).shutdown.timeoutMs, 90000);
+});
+
+test('missing or malformed config file is an error', () => {
+    assert.throws(() => resolveConfig({ env: {}, argv: ['--config', path.join(dir, 'missing.json')] }), /config file not found/);
+    assert.throws(() => resolveConfig({ env: {}, file: writeConfig('{ nope') }), /not valid JSON/);
+});
+
+test('unrelated arguments are left for the command line', () => {
+    const { overrides, rest, configFile } = parseCliOverrides(['account', '2', '--config=my.json', '--tx.confirmations', '3', '--verbose']);
+
+    assert.deepEqual(overrides, { 'tx.confirmations': '3' });
+    assert.deepEqual(rest, ['account', '2', '--verbose']);
+    assert.equal(configFile, 'my.json');
+});
+
+test('webhooks are validated without echoing their URLs', () => {
+    const env = { NOTIFY_WEBHOOKS: JSON.stringify([{ url: 'https://api.telegram.org/botSECRET/sendMessage', format: 'telegram' }]) };
+
+    assert.throws(() => resolveConfig({ env, file: writeConfig({}) }), error => {
+        assert.match(error.message, /webhook 1: telegram webhooks need a chatId/);
+        assert.doesNotMatch(error.message, /SECRET/);
+        return true;
+    });
+
+    const config = resolveConfig({ env: {}, file: writeConfig({ notify: { webhooks: [{ url: 'http://hook.test', events: ['low_gas'] }] } }) });
+    assert.deepEqual(config.notify.webhooks, [{ url: 'http://hook.test', format: 'json', events: ['low_gas'] }]);
+});
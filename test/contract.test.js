@@ -0,0 +1,127 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Contract, JsonRpcProvider, Wallet } from 'ethers';
+import { CONTRACT_ABI } from '../src/ABI.js';
+import { TransactionManager, TX_STATUS } from '../src/contract.js';
+import { startFakeChain } from './harness/fake-chain.js';
+
+const CONTRACT_ADDRESS = '0xb3Ad998AF21485562eCd7eA700eF695135cbB491';
+
+let server;
+let provider;
+
+before(async () => {
+    server = await startFakeChain();
+    provider = new JsonRpcProvider(server.url, 56, { staticNetwork: true });
+});
+
+after(async () => {
+    provider.destroy();
+    await server.close();
+});
+
+beforeEach(() => {
+    server.chain.reset();
+});
+
+function setup(options = {}) {
+    const wallet = Wallet.createRandom().connect(provider);
+    const contract = new Contract(CONTRACT_ADDRESS, CONTRACT_ABI, wallet);
+    const manager = new TransactionManager({ timeout_ms: 200, poll_interval_ms: 20, ...options });
+    const request = id => contract.getFunction('addNewRequest').populateTransaction(id, `request ${id}`);
+    return { wallet, manager, request };
+}
+
+test('confirmed transaction reports gas and fee', async () => {
+    const { wallet, manager, request } = setup();
+
+    const result = await manager.send(wallet, await request(1));
+
+    assert.equal(result.status, TX_STATUS.CONFIRMED);
+    assert.equal(result.hashes.length, 1);
+    assert.equal(result.fee, result.gasUsed * result.gasPrice);
+});
+
+test('back-to-back sends use consecutive nonces', async () => {
+    const { wallet, manager, request } = setup();
+
+    const first = await manager.send(wallet, await request(1));
+    const second = await manager.send(wallet, await request(2));
+
+    assert.equal(first.nonce, 0);
+    assert.equal(second.nonce, 1);
+});
+
+test('stuck transaction is replaced at the same nonce with a higher gas price', async () => {
+    const { wallet, manager, request } = setup();
+    server.chain.stallNext(1);
+
+    const result = await manager.send(wallet, await request(1));
+
+    assert.equal(result.status, TX_STATUS.REPLACED);
+    assert.equal(result.hashes.length, 2);
+    assert.equal(result.hash, result.hashes[1]);
+    assert.equal(server.chain.txs.length, 1);
+    assert.ok(server.chain.txs[0].gasPrice > 1_000_000_000n);
+});
+
+test('transaction the node forgot without mining is reported as dropped', async () => {
+    const { wallet, manager, request } = setup({ max_replacements: 1 });
+    server.chain.dropNext(2);
+
+    const result = await manager.send(wallet, await request(1));
+
+    assert.equal(result.status, TX_STATUS.DROPPED);
+    assert.equal(result.hashes.length, 2);
+    assert.equal(result.blockNumber, null);
+    assert.equal(await manager.lookup(provider, result.hashes), null);
+});
+
+test('transaction still in the mempool after the last replacement is pending, not dropped', async () => {
+    const { wallet, manager, request } = setup({ max_replacements: 1 });
+    server.chain.stallNext(2);
+
+    const result = await manager.send(wallet, await request(1));
+
+    assert.equal(result.status, TX_STATUS.PENDING);
+    assert.equal(result.hashes.length, 2);
+    assert.equal((await manager.lookup(provider, result.hashes)).status, TX_STATUS.PENDING);
+});
+
+test('revert is returned as a status instead of thrown', async () => {
+    const { wallet, manager, request } = setup();
+    server.chain.revertNext('addNewRequest');
+
+    const result = await manager.send(wallet, await request(1));
+
+    assert.equal(result.status, TX_STATUS.REVERTED);
+    assert.ok(result.fee > 0n);
+});
+
+test('transaction short of the required confirmations is not reported as confirmed', async () => {
+    const { wallet, manager, request } = setup({ confirmations: 3 });
+
+    const result = await manager.send(wallet, await request(1));
+    assert.equal(result.status, TX_STATUS.UNCONFIRMED);
+    assert.equal((await manager.lookup(provider, result.hashes)).status, TX_STATUS.UNCONFIRMED);
+
+    // Two more blocks bury it deep enough
+    await manager.send(wallet, await request(2));
+    await manager.send(wallet, await request(3));
+    assert.equal((await manager.lookup(provider, result.hashes)).status, TX_STATUS.CONFIRMED);
+});
+
+test('an RPC failure after the broadcast still returns the hashes', async (t) => {
+    const { wallet, manager, request } = setup();
+    const broadcast = [];
+    t.mock.method(provider, 'getTransactionReceipt', async () => {
+        throw new Error('all endpoints failed');
+    });
+
+    const result = await manager.send(wallet, await request(1), { on_broadcast: hash => broadcast.push(hash) });
+
+    assert.equal(result.status, TX_STATUS.PENDING);
+    assert.equal(result.error, 'all endpoints failed');
+    assert.deepEqual(result.hashes, [server.chain.txs[0].hash]);
+    assert.deepEqual(broadcast, result.hashes);
+});
@@ -0,0 +1,469 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { Wallet } from 'ethers';
+import { startHarness } from './harness/index.js';
+import { getConfig } from '../src/config.js';
+import logger from '../src/logger.js';
+import { renderMetrics } from '../src/metrics.js';
+import { Notifier, setNotifier } from '../src/notify.js';
+import { startFakeWebhook } from './harness/fake-webhook.js';
+import { readLedger, latestEntries } from '../src/ledger.js';
+import { requestShutdown, resetShutdown } from '../src/shutdown.js';
+import { onPhase, currentCycle } from '../src/status.js';
+
+let harness;
+let bot;
+let webhook;
+
+before(async () => {
+    harness = await startHarness();
+    webhook = await startFakeWebhook();
+    bot = await import('../src/bot.js');
+});
+
+after(async () => {
+    await harness.close();
+    await webhook.close();
+});
+
+beforeEach(() => {
+    harness.reset();
+    webhook.hook.reset();
+});
+
+function newAccounts(count, options) {
+    const wallets = Array.from({ length: count }, () => Wallet.createRandom());
+    bot.initAccounts(wallets.map(wallet => wallet.privateKey), options);
+    return wallets;
+}
+
+test('full cycle creates and registers an agent and a request', async () => {
+    const [wallet] = newAccounts(1);
+
+    const tokenData = await bot.processAccount(wallet.privateKey, 0);
+
+    assert.equal(tokenData.address, wallet.address);
+    assert.equal(harness.api.agents.length, 1);
+    assert.equal(harness.api.requests.length, 1);
+
+    const registrations = harness.chain.registrations();
+    assert.deepEqual(registrations.map(r => r.method), ['addNewAgent', 'addNewRequest']);
+    assert.equal(registrations[0].args[0], String(harness.api.agents[0].id));
+    assert.equal(registrations[1].args[0], String(harness.api.requests[0].id));
+
+    const stats = bot.accountsStats[0];
+    assert.equal(stats.agents, 1);
+    assert.equal(stats.requests, 1);
+    assert.equal(stats.txs, 2);
+    assert.equal(stats.errors, 0);
+    assert.equal(stats.totalPoint, 20);
+    assert.equal(stats.gasSpent, (2n * 120_000n * 1_000_000_000n).toString());
+    assert.deepEqual(stats.txEndpoints, { [new URL(process.env.RPC_URL).host]: 2 });
+
+    const { entries } = readLedger(process.env.LEDGER_FILE);
+    assert.deepEqual(entries.map(e => `${e.kind} ${e.status}`), ['agent created', 'agent registered', 'request created', 'request registered']);
+    const [agent, request] = latestEntries(entries);
+    assert.equal(agent.account, wallet.address);
+    assert.equal(agent.id, harness.api.agents[0].id);
+    assert.equal(agent.name, harness.api.agents[0].name);
+    assert.equal(agent.gasCost, '0.00012');
+    assert.equal(agent.txHash, registrations[0].hash);
+    assert.ok(Number.isInteger(agent.blockNumber));
+    assert.equal(request.name, harness.api.requests[0].title);
+    assert.ok(request.description.length >= 120);
+});
+
+test('metrics expose per-account stats and request latencies', async () => {
+    newAccounts(1);
+    await bot.runCycle(1);
+
+    const text = renderMetrics();
+    assert.match(text, /fourbsc_account_txs_total\{account="1",address="0x[0-9a-fA-F]{40}"\} 2\n/);
+    assert.match(text, /fourbsc_account_last_run_ok\{account="1",address="0x[0-9a-fA-F]{40}"\} 1\n/);
+    assert.match(text, /fourbsc_api_request_duration_seconds_count\{action="Create new agent",outcome="ok"\} \d+\n/);
+    assert.match(text, /fourbsc_rpc_request_duration_seconds_count\{endpoint="[^"]+",outcome="ok"\} \d+\n/);
+    assert.match(text, /fourbsc_cycles_total \d+\n/);
+});
+
+test('each account registers with its own wallet', async () => {
+    const wallets = newAccounts(2);
+
+    await bot.runCycle(1);
+
+    const senders = harness.chain.registrations().map(r => r.from);
+    assert.deepEqual(senders, [wallets[0].address, wallets[0].address, wallets[1].address, wallets[1].address]);
+});
+
+test('a cycle over one account leaves the others untouched and reports failures', async () => {
+    const wallets = newAccounts(3);
+
+    assert.deepEqual(await bot.runCycle(1, [1]), []);
+    assert.deepEqual(harness.chain.registrations().map(r => r.from), [wallets[1].address, wallets[1].address]);
+    assert.equal(bot.accountsStats[0].lastStatus, null);
+    assert.equal(bot.accountsStats[1].lastStatus, 'ok');
+    assert.equal(bot.accountsStats[2].lastStatus, null);
+
+    harness.api.failNext('/front/login/auth_wallet', 400, { code: 400, msg: 'invalid nonce' });
+    assert.deepEqual(await bot.runCycle(2, [2]), [2]);
+    assert.equal(bot.accountsStats[2].lastStatus, 'failed');
+});
+
+test('each account reports its phase as it moves through a cycle', async () => {
+    newAccounts(2);
+    const seen = [];
+    const unsubscribe = onPhase((index, phase) => seen.push(`#${index + 1} ${phase}`));
+
+    harness.api.failNext('/front/login/auth_wallet', 400, { code: 400, msg: 'invalid nonce' });
+    try {
+        await bot.runCycle(1);
+    } finally {
+        unsubscribe();
+    }
+
+    assert.deepEqual(seen, [
+        '#1 queued', '#2 queued',
+        '#1 authenticating', '#1 failed',
+        '#2 authenticating', '#2 checking tasks',
+        '#2 generating', '#2 creating', '#2 waiting for tx',
+        '#2 generating', '#2 creating', '#2 waiting for tx',
+        '#2 done',
+    ]);
+    assert.deepEqual(currentCycle(), { number: 1, accounts: [0, 1] });
+});
+
+test('status reads task state and user data without doing tasks', async () => {
+    newAccounts(2);
+
+    const failed = await bot.showStatus();
+
+    assert.deepEqual(failed, []);
+    assert.equal(harness.api.logins.length, 2);
+    assert.equal(harness.api.agents.length, 0);
+    assert.equal(harness.api.requests.length, 0);
+    assert.equal(harness.chain.txs.length, 0);
+    assert.ok(bot.tokenDataArray[0] && bot.tokenDataArray[1]);
+});
+
+test('summary prints the stats saved in the state file by address, without the keys', async (t) => {
+    const [wallet] = newAccounts(1);
+    assert.equal(bot.printSavedSummary(process.env.STATE_FILE), false);
+    await bot.runCycle(1);
+
+    const printed = [];
+    t.mock.method(console, 'log', (...args) => printed.push(args.join(' ')));
+    bot.initAccounts([]);
+
+    assert.equal(bot.printSavedSummary(process.env.STATE_FILE), true);
+    const text = printed.join('\n').replace(/\x1b\[[0-9;]*m/g, '');
+    assert.match(text, new RegExp(`Account ${wallet.address}:`));
+    assert.match(text, /Points: 20\n.*Days: \d+\n.*Agents: 1\n.*Requests: 1\n.*Blockchain TXs: 2/);
+});
+
+test('bad nonce skips the account without creating anything', async () => {
+    const [wallet] = newAccounts(1);
+    harness.api.failNext('/front/login/auth_wallet', 400, { code: 400, msg: 'invalid nonce' });
+
+    const tokenData = await bot.processAccount(wallet.privateKey, 0);
+
+    assert.equal(tokenData, null);
+    assert.equal(harness.api.agents.length, 0);
+    assert.equal(harness.chain.txs.length, 0);
+});
+
+test('noisy LLM output is cleaned up and rejected output is re-prompted', async () => {
+    const [wallet] = newAccounts(1);
+    const description = 'Watches BSC bridges for stuck transfers, explains the delay in plain words and suggests when it is safe to retry the transfer again.';
+    harness.llm.reply('Sure! Here is your agent:\n```json\n{"name_agent": "Pool Watcher", "description": "too short"}\n```');
+    harness.llm.reply(`\`\`\`json\n{"name_agent": " BridgeMedic ", "description": "${description}"}\n\`\`\``);
+
+    await bot.processAccount(wallet.privateKey, 0);
+
+    assert.equal(harness.llm.calls.length, 3);
+    const retryPrompt = harness.llm.calls[1].messages.find(m => m.role === 'user').content;
+    assert.match(retryPrompt, /"name_agent" must not contain spaces/);
+    assert.match(retryPrompt, /"description" must be 120-200 characters, got 9/);
+    assert.equal(harness.api.agents[0].name, 'BridgeMedic');
+    assert.equal(bot.accountsStats[0].errors, 0);
+});
+
+test('content that never validates fails the agent task but not the request task', async () => {
+    const [wallet] = newAccounts(1);
+    for (let i = 0; i < 3; i++) harness.llm.reply('Sure! Here is your agent: {name_agent: oops');
+
+    await bot.processAccount(wallet.privateKey, 0);
+
+    assert.equal(harness.api.agents.length, 0);
+    assert.equal(harness.api.requests.length, 1);
+    assert.equal(bot.accountsStats[0].errors, 1);
+    assert.deepEqual(harness.chain.registrations().map(r => r.method), ['addNewRequest']);
+});
+
+test('reverted registration is resumed next run without a new platform record', async () => {
+    const [wallet] = newAccounts(1);
+    harness.chain.revertNext('addNewAgent');
+
+    const tokenData = await bot.processAccount(wallet.privateKey, 0);
+
+    assert.equal(harness.api.agents.length, 1);
+    assert.equal(bot.accountsStats[0].agents, 0);
+    assert.deepEqual(harness.chain.registrations().map(r => r.method), ['addNewRequest']);
+
+    await bot.processAccount(wallet.privateKey, 0, tokenData);
+
+    assert.equal(harness.api.agents.length, 1);
+    const agentRegistrations = harness.chain.registrations().filter(r => r.method === 'addNewAgent');
+    assert.equal(agentRegistrations.length, 1);
+    assert.equal(agentRegistrations[0].args[0], String(harness.api.agents[0].id));
+    assert.equal(bot.accountsStats[0].agents, 1);
+});
+
+test('a registration whose receipt cannot be read keeps its hash and is not sent again', async (t) => {
+    const [wallet] = newAccounts(1);
+    const { getProvider } = await import('../src/transactions.js');
+    const receipts = t.mock.method(getProvider(), 'getTransactionReceipt', async () => {
+        throw new Error('every RPC endpoint failed');
+    });
+
+    const tokenData = await bot.processAccount(wallet.privateKey, 0);
+    receipts.mock.restore();
+
+    const { journal } = Object.values(JSON.parse(fs.readFileSync(process.env.STATE_FILE, 'utf8')).accounts)[0];
+    assert.deepEqual(journal.map(entry => [entry.status, entry.txHashes.length]), [['pending', 1], ['pending', 1]]);
+
+    await bot.processAccount(wallet.privateKey, 0, tokenData);
+
+    assert.equal(harness.chain.txs.length, 2);
+    assert.equal(bot.accountsStats[0].agents, 1);
+    assert.equal(bot.accountsStats[0].requests, 1);
+});
+
+test('a registration still in the mempool is not sent again next run', async (t) => {
+    const [wallet] = newAccounts(1);
+    const { getProvider } = await import('../src/transactions.js');
+    harness.chain.stallNext(1);
+    const receipts = t.mock.method(getProvider(), 'getTransactionReceipt', async () => {
+        throw new Error('every RPC endpoint failed');
+    });
+
+    const tokenData = await bot.processAccount(wallet.privateKey, 0);
+    receipts.mock.restore();
+    await bot.processAccount(wallet.privateKey, 0, tokenData);
+
+    assert.equal(harness.chain.mempool.size, 2);
+    assert.equal(harness.chain.txs.length, 0);
+    const statuses = readLedger(process.env.LEDGER_FILE).entries.filter(e => e.kind === 'agent').map(e => e.status);
+    assert.deepEqual(statuses, ['created', 'pending', 'pending']);
+});
+
+test('a registration that keeps reverting is abandoned after tx.maxReverts tries', async () => {
+    const [wallet] = newAccounts(1);
+    let tokenData = null;
+    for (let run = 0; run < 4; run++) {
+        harness.chain.revertNext('addNewAgent');
+        tokenData = await bot.processAccount(wallet.privateKey, 0, tokenData);
+    }
+
+    const agentCalls = harness.chain.txs.filter(tx => tx.method === 'addNewAgent');
+    assert.equal(agentCalls.length, 3);
+    assert.ok(agentCalls.every(tx => tx.status === 0));
+    assert.equal(harness.api.agents.length, 1);
+
+    const [agent] = latestEntries(readLedger(process.env.LEDGER_FILE).entries).filter(item => item.kind === 'agent');
+    assert.equal(agent.status, 'abandoned');
+});
+
+test('content falls back to the template provider when the model endpoint is down', async () => {
+    const [wallet] = newAccounts(1);
+    harness.llm.reply(new Error('service unavailable'));
+
+    await bot.processAccount(wallet.privateKey, 0);
+
+    assert.equal(harness.api.agents.length, 1);
+    assert.equal(harness.api.requests.length, 1);
+    assert.equal(bot.accountsStats[0].errors, 0);
+});
+
+test('expired token mid-cycle triggers one re-login and the cycle continues', async () => {
+    const [wallet] = newAccounts(1);
+    const first = await bot.processAccount(wallet.privateKey, 0);
+    harness.api.expireSessions();
+
+    const second = await bot.processAccount(wallet.privateKey, 0, first);
+
+    assert.equal(harness.api.logins.length, 2);
+    assert.notEqual(second.token, first.token);
+    assert.equal(bot.accountsStats[0].errors, 0);
+});
+
+test('a token close to expiry is renewed before the tasks and the inviter is set only once', async () => {
+    const [wallet] = newAccounts(1);
+    const first = await bot.processAccount(wallet.privateKey, 0);
+    const nearExpiry = { ...first, token_expire_time: Math.floor(Date.now() / 1000) + 60 };
+    harness.api.reset();
+
+    const second = await bot.processAccount(wallet.privateKey, 0, nearExpiry);
+
+    assert.equal(harness.api.logins.length, 1);
+    assert.notEqual(second.token, first.token);
+    assert.equal(harness.api.inviterCalls, 0);
+
+    // An expiry in milliseconds far enough out is kept
+    const third = await bot.processAccount(wallet.privateKey, 0, { ...second, token_expire_time: second.token_expire_time * 1000 });
+    assert.equal(third.token, second.token);
+    assert.equal(harness.api.logins.length, 1);
+});
+
+test('wallet without enough BNB is skipped before anything is created', async () => {
+    const [wallet] = newAccounts(1);
+    harness.chain.setBalance(wallet.address, 1000n);
+
+    await bot.processAccount(wallet.privateKey, 0);
+
+    assert.equal(harness.api.agents.length, 0);
+    assert.equal(harness.api.requests.length, 0);
+    assert.equal(harness.llm.calls.length, 0);
+    assert.match(bot.accountsStats[0].skipReason, /^insufficient gas/);
+});
+
+test('a failed send is logged once, redacted, to the log file', async () => {
+    const wallet = Wallet.createRandom();
+    harness.chain.setBalance(wallet.address, 0n);
+    const file = path.join(harness.dir, 'bot.log');
+    logger.configure({ file });
+
+    try {
+        const transactions = await import('../src/transactions.js');
+        assert.equal(await transactions.contractCall(wallet, wallet.address, 'addNewAgent', [1, 'Bot1', 'd']), null);
+    } finally {
+        logger.configure({});
+    }
+
+    const errors = fs.readFileSync(file, 'utf-8').trim().split('\n').map(line => JSON.parse(line)).filter(entry => entry.level === 'error');
+    assert.equal(errors.length, 1);
+    assert.match(errors[0].message, /^Error calling addNewAgent: .*insufficient funds/);
+    assert.match(errors[0].error, /insufficient funds/);
+});
+
+test('low gas and the cycle summary are sent to webhooks', async () => {
+    const [wallet] = newAccounts(1);
+    harness.chain.setBalance(wallet.address, 1000n);
+    const notifier = new Notifier({ webhooks: [{ url: webhook.url, format: 'json', events: ['low_gas', 'summary'] }] });
+    setNotifier(notifier);
+
+    try {
+        await bot.runCycle(1);
+        await notifier.flush();
+    } finally {
+        setNotifier(new Notifier());
+    }
+
+    const events = webhook.hook.received.map(r => r.body);
+    assert.deepEqual(events.map(e => e.event), ['low_gas', 'summary']);
+    assert.equal(events[0].fields.address, wallet.address);
+    assert.equal(events[1].fields['Failed Accounts'], '1/1');
+    assert.match(events[1].message, /insufficient gas/);
+});
+
+test('transient server errors are retried', async () => {
+    const [wallet] = newAccounts(1);
+    harness.api.failNext('/front/get/finaltest/verify_daily_task', 502);
+
+    await bot.processAccount(wallet.privateKey, 0);
+
+    assert.equal(harness.api.agents.length, 1);
+    assert.equal(harness.api.requests.length, 1);
+});
+
+test('a create call whose response was lost is not sent again', async () => {
+    const [wallet] = newAccounts(1);
+    harness.api.hangUpNext('/front/create/repositories');
+
+    await bot.processAccount(wallet.privateKey, 0);
+
+    // The server created the agent; a retry would have created a second one
+    assert.equal(harness.api.agents.length, 1);
+    assert.equal(harness.api.requests.length, 1);
+    assert.deepEqual(harness.chain.registrations().map(r => r.method), ['addNewRequest']);
+});
+
+test('dry run generates content and estimates costs without writing anything', async () => {
+    const [wallet] = newAccounts(1, { dryRun: true });
+
+    await bot.processAccount(wallet.privateKey, 0);
+
+    assert.equal(harness.llm.calls.length, 2);
+    assert.equal(harness.api.agents.length, 0);
+    assert.equal(harness.api.requests.length, 0);
+    assert.equal(harness.chain.txs.length, 0);
+
+    const planned = bot.accountsStats[0].planned;
+    assert.deepEqual(planned.map(p => p.method), ['addNewAgent', 'addNewRequest']);
+    assert.ok(planned.every(p => p.ok && p.cost === (120_000n * 1_000_000_000n).toString()));
+    assert.equal(bot.accountsStats[0].txs, 0);
+});
+
+test('dry run reports a rejected placeholder ID as unknown, not as a failure', async () => {
+    const [wallet] = newAccounts(1, { dryRun: true });
+    harness.chain.rejectId(0);
+
+    await bot.processAccount(wallet.privateKey, 0);
+
+    const planned = bot.accountsStats[0].planned;
+    assert.deepEqual(planned.map(p => [p.method, p.ok, p.unknown]), [['addNewAgent', false, true], ['addNewRequest', false, true]]);
+    assert.ok(planned.every(p => BigInt(p.cost) > 0n));
+    assert.equal(bot.accountsStats[0].lastStatus, 'ok');
+    assert.equal(harness.chain.txs.length, 0);
+    bot.printSummary();
+});
+
+test('dry run reports a wrong contract address as a failure, not as unknown', async () => {
+    const [wallet] = newAccounts(1, { dryRun: true });
+    harness.chain.clearCode(getConfig().contract.address);
+    // ethers answers an identical RPC call from the last 250ms from its cache
+    await new Promise(resolve => setTimeout(resolve, 300));
+
+    await bot.processAccount(wallet.privateKey, 0);
+
+    const planned = bot.accountsStats[0].planned;
+    assert.deepEqual(planned.map(p => [p.method, p.ok, p.unknown]), [['addNewAgent', false, false], ['addNewRequest', false, false]]);
+    assert.equal(harness.chain.txs.length, 0);
+});
+
+test('accounts a shutdown between accounts kept from starting count as failed', async () => {
+    newAccounts(3);
+    const unsubscribe = onPhase((index, phase) => {
+        if (index === 0 && phase === 'done') requestShutdown('SIGTERM');
+    });
+
+    try {
+        assert.deepEqual(await bot.runCycle(1), [1, 2]);
+        assert.equal(bot.accountsStats[0].lastStatus, 'ok');
+        assert.equal(harness.api.logins.length, 1);
+    } finally {
+        unsubscribe();
+        resetShutdown();
+    }
+});
+
+test('shutdown lets the agent in flight finish and starts nothing new', async () => {
+    const [first] = newAccounts(2);
+    harness.api.onNext('/front/create/repositories', () => requestShutdown('SIGTERM'));
+
+    try {
+        const failed = await bot.runCycle(1);
+
+        // The account that was never started counts as failed too
+        assert.deepEqual(failed, [0, 1]);
+        assert.equal(harness.api.agents.length, 1);
+        assert.equal(harness.api.requests.length, 0);
+        assert.deepEqual(harness.chain.registrations().map(r => r.method), ['addNewAgent']);
+        assert.deepEqual(harness.api.logins, [first.address.toLowerCase()]);
+        assert.equal(bot.accountsStats[0].agents, 1);
+        assert.equal(bot.accountsStats[0].lastStatus, 'failed');
+        assert.equal(bot.accountsStats[1].lastStatus, null);
+    } finally {
+        resetShutdown();
+    }
+});
@@ -0,0 +1,115 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import logger from '../src/logger.js';
+import { Dashboard } from '../src/dashboard.js';
+import { contractCall } from '../src/transactions.js';
+import { PHASES, setPhase, startCycle, resetPhases } from '../src/status.js';
+
+const ANSI = /\x1b\[[0-9;?]*[A-Za-z]/g;
+const NOW = Date.parse('2026-03-01T12:00:00Z');
+
+class FakeTerminal extends EventEmitter {
+    constructor(columns = 120, rows = 20) {
+        super();
+        this.columns = columns;
+        this.rows = rows;
+        this.output = '';
+    }
+
+    write(text) {
+        this.output += text;
+    }
+}
+
+function plain(lines) {
+    return lines.map(line => line.replace(ANSI, ''));
+}
+
+function newDashboard(stream = new FakeTerminal()) {
+    const stats = {
+        0: { totalPoint: 40, days: 2, agents: 1, requests: 1, txs: 2, errors: 0, cooldownEndTime: NOW / 1000 + 3725 },
+        1: { totalPoint: 10, days: 1, agents: 0, requests: 0, txs: 0, errors: 3, cooldownEndTime: null },
+    };
+    const addresses = ['0xA11ce00000000000000000000000000000000001', '0xB0b0000000000000000000000000000000000002'];
+    return new Dashboard({ stats, addresses, stream, now: () => NOW });
+}
+
+afterEach(() => {
+    resetPhases();
+    logger.setOutput(null);
+});
+
+test('every account is a row with its phase, cooldown and counters', () => {
+    startCycle(4, [0, 1]);
+    setPhase(0, PHASES.DONE);
+    setPhase(1, PHASES.WAITING_TX);
+
+    const lines = plain(newDashboard().render());
+
+    assert.match(lines[0], /Cycle 4 .* 50% {2}1\/2 accounts/);
+    const rows = lines.filter(line => /^│ \d/.test(line)).map(line => line.split('│').slice(1, -1).map(cell => cell.trim()));
+    assert.deepEqual(rows, [
+        ['1', '0xA11c…0001', 'done', '01:02:05', '40', '2', '1', '1', '2', '0'],
+        ['2', '0xB0b0…0002', 'waiting for tx', '-', '10', '1', '0', '0', '0', '3'],
+    ]);
+    // Columns line up even though cells are colored
+    assert.equal(new Set(lines.filter(line => /^[│┌├└]/.test(line)).map(line => line.length)).size, 1);
+});
+
+test('log lines go to the event pane, newest last, cut to the screen size', () => {
+    const stream = new FakeTerminal(60, 16);
+    const dashboard = newDashboard(stream);
+    dashboard.start();
+    try {
+        for (let i = 1; i <= 10; i++) {
+            logger.withContext({ account: 2, task: 'agent' }, () => logger.info(`event ${i} ${'x'.repeat(80)}`));
+        }
+        logger.box('decoration only');
+
+        const lines = plain(dashboard.render());
+        const events = lines.slice(lines.indexOf('Recent events') + 1);
+        assert.equal(lines.length, 15);
+        assert.match(events.at(-1), /INFO +\[#2 agent\] event 10 x+$/);
+        assert.deepEqual(events.map(line => line.match(/event (\d+)/)[1]), ['6', '7', '8', '9', '10']);
+        assert.ok(lines.every(line => line.length <= 60));
+        assert.ok(!stream.output.includes('decoration only'));
+    } finally {
+        dashboard.stop();
+    }
+
+    // The normal screen and the console are back
+    assert.ok(stream.output.startsWith('\x1b[?1049h'));
+    assert.ok(stream.output.endsWith('\x1b[?25h\x1b[?1049l'));
+    assert.equal(stream.listenerCount('resize'), 0);
+});
+
+test('a transaction error while the dashboard is active lands in the event pane, not on the screen', async (t) => {
+    const printed = [];
+    t.mock.method(console, 'log', (...args) => printed.push(args.join(' ')));
+    t.mock.method(console, 'error', (...args) => printed.push(args.join(' ')));
+    const stream = new FakeTerminal();
+    const dashboard = newDashboard(stream);
+    const signer = { address: '0xA11ce00000000000000000000000000000000001' };
+
+    dashboard.start();
+    try {
+        assert.equal(await contractCall(signer, '0xB0b0000000000000000000000000000000000002', 'addNewAgent', [1, 'Bot1', 'd']), null);
+    } finally {
+        dashboard.stop();
+    }
+
+    assert.deepEqual(printed, []);
+    assert.match(plain(dashboard.render()).at(-1), /ERROR +Error calling addNewAgent: Signer 0xA11ce\S+ does not match/);
+});
+
+test('before the first cycle the last run status is shown', () => {
+    const dashboard = newDashboard();
+    dashboard.stats[0].lastStatus = 'ok';
+
+    const lines = plain(dashboard.render());
+
+    assert.match(lines[0], /waiting for the first cycle/);
+    assert.match(lines.find(line => line.startsWith('│ 1')), /│ ok +│/);
+    assert.match(lines.find(line => line.startsWith('│ 2')), /│ idle +│/);
+});
@@ -0,0 +1,181 @@
+import { randomBytes } from 'crypto';
+import { verifyMessage } from 'ethers';
+import { listen, readJson, sendJson } from './http.js';
+
+/**
+ * Stand-in for the 4bsc.ai front API.
+ *
+ * Implements the login, daily task, create and farm routes the bot uses
+ * and keeps everything it was sent on `api` so scenarios can assert on it.
+ * `failNext(route, status, body)` queues one canned error for a route,
+ * `onNext(route, fn)` runs fn once when the route is next called,
+ * `hangUpNext(route)` handles the next call but closes the connection instead of answering.
+ */
+export async function startFakeApi({ tokenTtl = 3600 } = {}) {
+    const api = {
+        nonces: new Map(),
+        sessions: new Map(),
+        tasks: new Map(),
+        users: new Map(),
+        agents: [],
+        requests: [],
+        logins: [],
+        inviterCalls: 0,
+        nextId: 1000,
+        failures: [],
+        hooks: [],
+        hangUps: [],
+
+        failNext(route, status, body = { msg: `forced ${status}` }) {
+            this.failures.push({ route, status, body });
+        },
+
+        onNext(route, fn) {
+            this.hooks.push({ route, fn });
+        },
+
+        hangUpNext(route) {
+            this.hangUps.push(route);
+        },
+
+        // Make every issued token invalid, as if the server rotated sessions
+        expireSessions() {
+            for (const session of this.sessions.values()) {
+                session.expired = true;
+            }
+        },
+
+        reset() {
+            this.nonces.clear();
+            this.sessions.clear();
+            this.tasks.clear();
+            this.users.clear();
+            this.agents.length = 0;
+            this.requests.length = 0;
+            this.logins.length = 0;
+            this.failures.length = 0;
+            this.hooks.length = 0;
+            this.hangUps.length = 0;
+            this.inviterCalls = 0;
+        },
+    };
+
+    function taskOf(address) {
+        const key = address.toLowerCase();
+        if (!api.tasks.has(key)) {
+            api.tasks.set(key, { is_create_agent: false, is_create_request: false, finish_time: Math.floor(Date.now() / 1000) });
+        }
+        return api.tasks.get(key);
+    }
+
+    function userOf(address) {
+        const key = address.toLowerCase();
+        if (!api.users.has(key)) {
+            api.users.set(key, { uid: `uid-${api.users.size + 1}`, total_point: 0, days: 0 });
+        }
+        return api.users.get(key);
+    }
+
+    function authenticate(req, res) {
+        const header = req.headers['authorization'] || '';
+        const session = api.sessions.get(header.replace(/^Bearer /, ''));
+        if (!session || session.expired) {
+            sendJson(res, 401, { code: 401, msg: 'token expired' });
+            return null;
+        }
+        return session;
+    }
+
+    const routes = {
+        'POST /front/login/wallet': async (req, res, body) => {
+            const nonce = randomBytes(8).toString('hex');
+            api.nonces.set(body.addr.toLowerCase(), nonce);
+            sendJson(res, 200, { code: 0, data: { nonce } });
+        },
+
+        'POST /front/login/auth_wallet': async (req, res, body) => {
+            const address = body.addr.toLowerCase();
+            if (api.nonces.get(address) !== body.nonce) {
+                return sendJson(res, 400, { code: 400, msg: 'invalid nonce' });
+            }
+            if (verifyMessage(body.nonce, body.signature).toLowerCase() !== address) {
+                return sendJson(res, 400, { code: 400, msg: 'invalid signature' });
+            }
+            api.nonces.delete(address);
+
+            const token = randomBytes(16).toString('hex');
+            const token_expire_time = Math.floor(Date.now() / 1000) + tokenTtl;
+            api.sessions.set(token, { address, expired: false });
+            api.logins.push(address);
+            sendJson(res, 200, { code: 0, data: { token, token_expire_time } });
+        },
+
+        'GET /front/set/user/invite_by': async (req, res) => {
+            if (!authenticate(req, res)) return;
+            api.inviterCalls++;
+            sendJson(res, 200, { code: 0, data: null });
+        },
+
+        'GET /front/get/finaltest/verify_daily_task': async (req, res, body, query) => {
+            if (!authenticate(req, res)) return;
+            sendJson(res, 200, { code: 0, data: { ...taskOf(query.get('address')) } });
+        },
+
+        'GET /front/get/finaltest/farm': async (req, res) => {
+            const session = authenticate(req, res);
+            if (!session) return;
+            sendJson(res, 200, { code: 0, data: userOf(session.address) });
+        },
+
+        'POST /front/create/repositories': async (req, res, body) => {
+            const session = authenticate(req, res);
+            if (!session) return;
+            const id = api.nextId++;
+            api.agents.push({ id, address: session.address, ...body });
+            taskOf(session.address).is_create_agent = true;
+            userOf(session.address).total_point += 10;
+            sendJson(res, 200, { code: 0, data: { id } });
+        },
+
+        'POST /front/create/request': async (req, res, body) => {
+            const session = authenticate(req, res);
+            if (!session) return;
+            const id = api.nextId++;
+            api.requests.push({ id, address: session.address, ...body });
+            taskOf(session.address).is_create_request = true;
+            userOf(session.address).total_point += 10;
+            sendJson(res, 200, { code: 0, data: { id } });
+        },
+    };
+
+    const server = await listen(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const path = url.pathname.replace(/^\/api/, '');
+        const key = `${req.method} ${path}`;
+        const body = await readJson(req);
+
+        const hook = api.hooks.findIndex(h => path.endsWith(h.route));
+        if (hook !== -1) {
+            api.hooks.splice(hook, 1)[0].fn();
+        }
+
+        const failure = api.failures.findIndex(f => path.endsWith(f.route));
+        if (failure !== -1) {
+            const { status, body: failureBody } = api.failures.splice(failure, 1)[0];
+            return sendJson(res, status, failureBody);
+        }
+
+        const route = routes[key];
+        if (!route) return sendJson(res, 404, { msg: `no route ${key}` });
+
+        const hangUp = api.hangUps.findIndex(route => path.endsWith(route));
+        if (hangUp !== -1) {
+            api.hangUps.splice(hangUp, 1);
+            await route(req, { writeHead() {}, end() {} }, body, url.searchParams);
+            return req.socket.destroy();
+        }
+        await route(req, res, body, url.searchParams);
+    });
+
+    return { ...server, url: `${server.url}/api`, api };
+}
@@ -0,0 +1,294 @@
+import { Interface, Transaction, keccak256, toBeHex, toUtf8Bytes } from 'ethers';
+import { CONTRACT_ABI } from '../../src/ABI.js';
+import { listen, readJson, sendJson } from './http.js';
+
+const CHAIN_ID = 56;
+const GAS_PRICE = 1_000_000_000n;
+const GAS_USED = 120_000n;
+const EMPTY_BLOOM = '0x' + '00'.repeat(256);
+const ZERO_HASH = '0x' + '00'.repeat(32);
+
+const iface = new Interface(CONTRACT_ABI);
+
+function blockHash(number) {
+    return keccak256(toUtf8Bytes(`block-${number}`));
+}
+
+/**
+ * Minimal BSC JSON-RPC stub.
+ *
+ * Every raw transaction is decoded, mined into its own block immediately and
+ * recorded on `chain.txs` with the decoded contract call. `revertNext(method)`
+ * makes the next call of that method mine with status 0, `stallNext(n)` keeps
+ * the next n transactions in a mempool until a higher-priced one replaces them
+ * (later nonces of the same wallet wait behind them),
+ * `dropNext(n)` accepts the next n transactions and forgets them at once.
+ * `rejectId(id)` makes calls and gas estimates for that platform ID revert,
+ * `clearCode(address)` makes an address look like a wallet instead of a contract.
+ */
+export async function startFakeChain() {
+    const chain = {
+        blockNumber: 100,
+        txs: [],
+        nonces: new Map(),
+        balances: new Map(),
+        defaultBalance: 10n ** 18n,
+        reverts: [],
+        mempool: new Map(),
+        stalls: 0,
+        drops: 0,
+        rejectedIds: new Set(),
+        codeless: new Set(),
+
+        revertNext(method) {
+            this.reverts.push(method);
+        },
+
+        stallNext(count = 1) {
+            this.stalls += count;
+        },
+
+        dropNext(count = 1) {
+            this.drops += count;
+        },
+
+        rejectId(id) {
+            this.rejectedIds.add(String(id));
+        },
+
+        clearCode(address) {
+            this.codeless.add(address.toLowerCase());
+        },
+
+        setBalance(address, wei) {
+            this.balances.set(address.toLowerCase(), BigInt(wei));
+        },
+
+        // Successful contract calls, decoded
+        registrations() {
+            return this.txs.filter(tx => tx.status === 1).map(tx => ({ from: tx.from, method: tx.method, args: tx.args, hash: tx.hash }));
+        },
+
+        reset() {
+            this.txs.length = 0;
+            this.reverts.length = 0;
+            this.mempool.clear();
+            this.stalls = 0;
+            this.drops = 0;
+            this.rejectedIds.clear();
+            this.codeless.clear();
+            this.nonces.clear();
+            this.balances.clear();
+        },
+    };
+
+    function balanceOf(address) {
+        return chain.balances.get(address.toLowerCase()) ?? chain.defaultBalance;
+    }
+
+    function block(number, full = false) {
+        return {
+            number: toBeHex(number),
+            hash: blockHash(number),
+            parentHash: blockHash(number - 1),
+            timestamp: toBeHex(Math.floor(Date.now() / 1000)),
+            nonce: '0x0000000000000000',
+            difficulty: '0x2',
+            gasLimit: toBeHex(140_000_000),
+            gasUsed: '0x0',
+            miner: '0x' + '00'.repeat(20),
+            extraData: '0x',
+            transactions: chain.txs.filter(tx => tx.blockNumber === number).map(tx => (full ? txObject(tx) : tx.hash)),
+        };
+    }
+
+    function pendingCount(address) {
+        return [...chain.mempool.values()].filter(tx => tx.from.toLowerCase() === address.toLowerCase()).length;
+    }
+
+    function txObject(tx) {
+        const mined = tx.blockNumber !== null;
+        return {
+            hash: tx.hash,
+            nonce: toBeHex(tx.nonce),
+            blockHash: mined ? blockHash(tx.blockNumber) : null,
+            blockNumber: mined ? toBeHex(tx.blockNumber) : null,
+            transactionIndex: '0x0',
+            from: tx.from,
+            to: tx.to,
+            value: toBeHex(tx.value),
+            gas: toBeHex(tx.gasLimit),
+            gasPrice: toBeHex(tx.gasPrice),
+            input: tx.data,
+            type: toBeHex(tx.type),
+            chainId: toBeHex(CHAIN_ID),
+            v: toBeHex(tx.signature.v),
+            r: tx.signature.r,
+            s: tx.signature.s,
+        };
+    }
+
+    function receipt(tx) {
+        return {
+            transactionHash: tx.hash,
+            transactionIndex: '0x0',
+            blockHash: blockHash(tx.blockNumber),
+            blockNumber: toBeHex(tx.blockNumber),
+            from: tx.from,
+            to: tx.to,
+            cumulativeGasUsed: toBeHex(GAS_USED),
+            gasUsed: toBeHex(GAS_USED),
+            effectiveGasPrice: toBeHex(tx.gasPrice),
+            contractAddress: null,
+            logs: logsOf(tx),
+            logsBloom: EMPTY_BLOOM,
+            status: toBeHex(tx.status),
+            type: toBeHex(tx.type),
+            root: ZERO_HASH,
+        };
+    }
+
+    function sendRaw(raw) {
+        const parsed = Transaction.from(raw);
+        const from = parsed.from.toLowerCase();
+        const expectedNonce = chain.nonces.get(from) ?? 0;
+        if (parsed.nonce < expectedNonce) {
+            throw Object.assign(new Error(`nonce too low: next nonce ${expectedNonce}, tx nonce ${parsed.nonce}`), { code: -32000 });
+        }
+        if (parsed.nonce > expectedNonce + pendingCount(from)) {
+            throw Object.assign(new Error(`nonce too high: next nonce ${expectedNonce}, tx nonce ${parsed.nonce}`), { code: -32000 });
+        }
+        // Behind a stuck lower nonce: it waits in the mempool too
+        const queued = parsed.nonce > expectedNonce;
+
+        const gasPrice = parsed.gasPrice ?? parsed.maxFeePerGas;
+        const cost = GAS_USED * gasPrice;
+        if (balanceOf(from) < cost) {
+            throw Object.assign(new Error('insufficient funds for gas * price + value'), { code: -32000 });
+        }
+
+        const key = `${from}:${parsed.nonce}`;
+        const stuck = chain.mempool.get(key);
+        if (stuck && gasPrice * 100n < stuck.gasPrice * 110n) {
+            throw Object.assign(new Error('replacement transaction underpriced'), { code: -32000 });
+        }
+        chain.mempool.delete(key);
+
+        const call = iface.parseTransaction({ data: parsed.data });
+        const record = {
+            hash: parsed.hash,
+            from: parsed.from,
+            to: parsed.to,
+            nonce: parsed.nonce,
+            value: parsed.value,
+            gasLimit: parsed.gasLimit,
+            gasPrice,
+            data: parsed.data,
+            type: parsed.type ?? 0,
+            signature: parsed.signature,
+            blockNumber: null,
+            method: call?.name ?? null,
+            args: call ? call.args.toArray().map(arg => (typeof arg === 'bigint' ? arg.toString() : arg)) : [],
+            status: null,
+        };
+
+        if (chain.drops > 0) {
+            chain.drops--;
+            return parsed.hash;
+        }
+
+        if (queued || chain.stalls > 0) {
+            if (!queued) chain.stalls--;
+            chain.mempool.set(key, record);
+            return parsed.hash;
+        }
+
+        const revertIndex = chain.reverts.indexOf(record.method);
+        record.status = revertIndex === -1 ? 1 : 0;
+        if (revertIndex !== -1) chain.reverts.splice(revertIndex, 1);
+
+        chain.blockNumber++;
+        record.blockNumber = chain.blockNumber;
+        chain.nonces.set(from, expectedNonce + 1);
+        chain.balances.set(from, balanceOf(from) - cost);
+        chain.txs.push(record);
+        return parsed.hash;
+    }
+
+    // One anonymous log per successful contract call. It stands in for whatever
+    // event the real contract emits; only its transaction hash matters to the bot.
+    function logsOf(tx) {
+        if (tx.status !== 1 || !tx.method) return [];
+        return [{
+            address: tx.to,
+            topics: [keccak256(toUtf8Bytes(tx.method))],
+            data: '0x',
+            blockNumber: toBeHex(tx.blockNumber),
+            blockHash: blockHash(tx.blockNumber),
+            transactionHash: tx.hash,
+            transactionIndex: '0x0',
+            logIndex: '0x0',
+            removed: false,
+        }];
+    }
+
+    const methods = {
+        eth_chainId: () => toBeHex(CHAIN_ID),
+        net_version: () => String(CHAIN_ID),
+        eth_blockNumber: () => toBeHex(chain.blockNumber),
+        eth_getBlockByNumber: ([tag, full]) => block(tag === 'latest' || tag === 'pending' ? chain.blockNumber : Number(tag), full),
+        eth_getBalance: ([address]) => toBeHex(balanceOf(address)),
+        eth_getTransactionCount: ([address, tag]) => {
+            const nonce = chain.nonces.get(address.toLowerCase()) ?? 0;
+            return toBeHex(tag === 'pending' ? nonce + pendingCount(address) : nonce);
+        },
+        eth_getCode: ([address]) => (chain.codeless.has(address.toLowerCase()) ? '0x' : '0x6080604052'),
+        eth_gasPrice: () => toBeHex(GAS_PRICE),
+        eth_estimateGas: ([tx]) => (simulate(tx), toBeHex(GAS_USED)),
+        eth_call: ([tx]) => (simulate(tx), '0x'),
+        eth_sendRawTransaction: ([raw]) => sendRaw(raw),
+        eth_getTransactionByHash: ([hash]) => {
+            const tx = chain.txs.find(t => t.hash === hash) ?? [...chain.mempool.values()].find(t => t.hash === hash);
+            return tx ? txObject(tx) : null;
+        },
+        eth_getTransactionReceipt: ([hash]) => {
+            const tx = chain.txs.find(t => t.hash === hash);
+            return tx ? receipt(tx) : null;
+        },
+        eth_getLogs: ([filter]) => {
+            const from = Number(filter.fromBlock ?? 0);
+            const to = filter.toBlock === undefined || filter.toBlock === 'latest' ? chain.blockNumber : Number(filter.toBlock);
+            const address = filter.address?.toLowerCase();
+            return chain.txs
+                .filter(tx => tx.blockNumber >= from && tx.blockNumber <= to && (!address || tx.to?.toLowerCase() === address))
+                .flatMap(logsOf);
+        },
+    };
+
+    // Static calls revert like the contract would for a rejected platform ID
+    function simulate(tx) {
+        const call = tx?.data ? iface.parseTransaction({ data: tx.data }) : null;
+        if (call && chain.rejectedIds.has(call.args[0].toString())) {
+            throw Object.assign(new Error('execution reverted'), { code: 3, data: '0x' });
+        }
+    }
+
+    function handle({ id, method, params }) {
+        const fn = methods[method];
+        if (!fn) {
+            return { jsonrpc: '2.0', id, error: { code: -32601, message: `method ${method} not supported` } };
+        }
+        try {
+            return { jsonrpc: '2.0', id, result: fn(params ?? []) };
+        } catch (error) {
+            return { jsonrpc: '2.0', id, error: { code: error.code ?? -32603, message: error.message, data: error.data } };
+        }
+    }
+
+    const server = await listen(async (req, res) => {
+        const body = await readJson(req);
+        sendJson(res, 200, Array.isArray(body) ? body.map(handle) : handle(body));
+    });
+
+    return { ...server, chain };
+}
@@ -0,0 +1,65 @@
+import { listen, readJson, sendJson } from './http.js';
+
+const DESCRIPTION = 'Tracks liquidity across BSC pools, flags unusual swaps and summarises the moves that matter for a portfolio in plain language every morning.';
+
+/**
+ * Stand-in for an OpenAI-style chat completions endpoint, also answering
+ * Ollama's /api/chat on the same server.
+ *
+ * Answers with valid agent/request JSON based on the system prompt unless
+ * a raw reply was queued with `reply(content)`; `calls` keeps every request body.
+ */
+export async function startFakeLlm() {
+    const llm = {
+        calls: [],
+        replies: [],
+        counter: 0,
+
+        reply(content) {
+            this.replies.push(content);
+        },
+
+        reset() {
+            this.calls.length = 0;
+            this.replies.length = 0;
+        },
+    };
+
+    function defaultReply(systemPrompt) {
+        llm.counter++;
+        if (systemPrompt.includes('agent generator')) {
+            return JSON.stringify({ name_agent: `PoolWatcher${llm.counter}`, description: DESCRIPTION });
+        }
+        return JSON.stringify({ title: `Need a pool monitor ${llm.counter}`, description: DESCRIPTION });
+    }
+
+    const server = await listen(async (req, res) => {
+        const ollama = req.url === '/api/chat';
+        if (req.method !== 'POST' || !(ollama || req.url.endsWith('/chat/completions'))) {
+            return sendJson(res, 404, { error: 'not found' });
+        }
+
+        const body = await readJson(req);
+        llm.calls.push(body);
+
+        const systemPrompt = body.messages.find(m => m.role === 'system')?.content ?? '';
+        const content = llm.replies.length > 0 ? llm.replies.shift() : defaultReply(systemPrompt);
+
+        if (content instanceof Error) {
+            return sendJson(res, 503, { error: content.message });
+        }
+
+        if (ollama) {
+            return sendJson(res, 200, { model: body.model, message: { role: 'assistant', content }, done: true });
+        }
+
+        sendJson(res, 200, {
+            id: `chatcmpl-${llm.calls.length}`,
+            object: 'chat.completion',
+            model: body.model,
+            choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+        });
+    });
+
+    return { ...server, url: `${server.url}/v1/chat/completions`, baseUrl: server.url, llm };
+}
@@ -0,0 +1,32 @@
+import { listen, readJson, sendJson } from './http.js';
+
+/**
+ * Webhook receiver that records every POSTed body on `hook.received`.
+ * `failNext(status)` answers the next delivery with that status.
+ */
+export async function startFakeWebhook() {
+    const hook = {
+        received: [],
+        failures: [],
+
+        failNext(status) {
+            this.failures.push(status);
+        },
+
+        reset() {
+            this.received.length = 0;
+            this.failures.length = 0;
+        },
+    };
+
+    const server = await listen(async (req, res) => {
+        const body = await readJson(req);
+        const status = hook.failures.shift();
+        if (status) return sendJson(res, status, { ok: false });
+
+        hook.received.push({ path: req.url, body });
+        sendJson(res, 200, { ok: true });
+    });
+
+    return { ...server, hook };
+}
@@ -0,0 +1,48 @@
+import http from 'http';
+
+export function readJson(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            if (!body) return resolve(null);
+            try {
+                resolve(JSON.parse(body));
+            } catch (error) {
+                reject(error);
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+export function sendJson(res, status, body) {
+    const payload = JSON.stringify(body);
+    res.writeHead(status, {
+        'content-type': 'application/json',
+        'content-length': Buffer.byteLength(payload),
+    });
+    res.end(payload);
+}
+
+// Start an HTTP server on a random local port; handler errors become 500s
+export async function listen(handler) {
+    const server = http.createServer(async (req, res) => {
+        try {
+            await handler(req, res);
+        } catch (error) {
+            sendJson(res, 500, { msg: error.message });
+        }
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+
+    return {
+        url: `http://127.0.0.1:${port}`,
+        close: () => new Promise(resolve => {
+            server.closeAllConnections();
+            server.close(() => resolve());
+        }),
+    };
+}
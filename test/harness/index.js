@@ -0,0 +1,71 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { startFakeApi } from './fake-api.js';
+import { startFakeLlm } from './fake-llm.js';
+import { startFakeChain } from './fake-chain.js';
+import { loadConfig } from '../../src/config.js';
+
+/**
+ * Start the 4bsc API, LLM and chain stand-ins and point the bot at them.
+ *
+ * The endpoints are passed through the environment and the configuration is
+ * reloaded from it, ignoring any 4bsc.config.json in the working directory.
+ */
+export async function startHarness() {
+    const [apiServer, llmServer, chainServer] = await Promise.all([
+        startFakeApi(),
+        startFakeLlm(),
+        startFakeChain(),
+    ]);
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), '4bsc-harness-'));
+    const configFile = path.join(dir, 'config.json');
+    fs.writeFileSync(configFile, '{}');
+
+    Object.assign(process.env, {
+        API_URL: apiServer.url,
+        LLM_API_URL: llmServer.url,
+        RPC_URL: chainServer.url,
+        API_KEY: 'test-key',
+        STATE_FILE: path.join(dir, 'state.json'),
+        LEDGER_FILE: path.join(dir, 'ledger.jsonl'),
+        RETRY_DELAY: '10',
+        ACCOUNT_DELAY: '0',
+        TX_POLL_INTERVAL: '20',
+        CONFIG_FILE: configFile,
+    });
+    loadConfig();
+
+    const restoreConsole = quietConsole();
+
+    return {
+        api: apiServer.api,
+        llm: llmServer.llm,
+        chain: chainServer.chain,
+        dir,
+
+        reset() {
+            apiServer.api.reset();
+            llmServer.llm.reset();
+            chainServer.chain.reset();
+            fs.rmSync(process.env.STATE_FILE, { force: true });
+            fs.rmSync(process.env.LEDGER_FILE, { force: true });
+        },
+
+        async close() {
+            restoreConsole();
+            await Promise.all([apiServer.close(), llmServer.close(), chainServer.close()]);
+            fs.rmSync(dir, { recursive: true, force: true });
+        },
+    };
+}
+
+// The bot logs heavily to the console; keep test output readable unless HARNESS_VERBOSE is set
+function quietConsole() {
+    if (process.env.HARNESS_VERBOSE) return () => {};
+
+    const original = { log: console.log, error: console.error, table: console.table, clear: console.clear };
+    console.log = console.error = console.table = console.clear = () => {};
+    return () => Object.assign(console, original);
+}
@@ -0,0 +1,70 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Wallet } from 'ethers';
+import { convertKeys, loadKeystores, loadPrivateKeys, resolvePassword, parseEnvPrivateKeys } from '../src/keystore.js';
+
+// Cheap scrypt parameters so the tests do not spend seconds per key
+const FAST = { scrypt: { N: 1 << 10 } };
+
+let dir;
+
+before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), '4bsc-keystore-'));
+});
+
+after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('converted keys load back in the same order', async () => {
+    const keystores = path.join(dir, 'roundtrip');
+    const wallets = [Wallet.createRandom(), Wallet.createRandom()];
+
+    const results = await convertKeys(wallets.map(w => w.privateKey), keystores, 'secret', FAST);
+
+    assert.deepEqual(results.map(r => r.created), [true, true]);
+    assert.match(path.basename(results[0].file), /^01-0x/);
+    assert.equal(fs.statSync(results[0].file).mode & 0o777, 0o600);
+    assert.deepEqual(await loadKeystores(keystores, 'secret'), wallets.map(w => w.privateKey));
+});
+
+test('converting again skips accounts that already have a keystore', async () => {
+    const keystores = path.join(dir, 'again');
+    const wallet = Wallet.createRandom();
+    await convertKeys([wallet.privateKey], keystores, 'secret', FAST);
+
+    const [result] = await convertKeys([wallet.privateKey], keystores, 'secret', FAST);
+
+    assert.equal(result.created, false);
+    assert.equal(fs.readdirSync(keystores).length, 1);
+});
+
+test('wrong password names the keystore that failed', async () => {
+    const keystores = path.join(dir, 'wrong');
+    await convertKeys([Wallet.createRandom().privateKey], keystores, 'secret', FAST);
+
+    await assert.rejects(loadKeystores(keystores, 'nope'), /Cannot decrypt keystore .*01-0x/);
+});
+
+test('password comes from the config before the password file', async () => {
+    const file = path.join(dir, 'password.txt');
+    fs.writeFileSync(file, 'from-file\n');
+
+    assert.equal(await resolvePassword({ password: 'from-env', passwordFile: file }), 'from-env');
+    assert.equal(await resolvePassword({ password: '', passwordFile: file }), 'from-file');
+    await assert.rejects(resolvePassword({ password: '', passwordFile: path.join(dir, 'missing') }), /Cannot read keystore password file/);
+});
+
+test('without keystores the plaintext .env keys are used', async () => {
+    const envFile = path.join(dir, '.env');
+    const key = Wallet.createRandom().privateKey;
+    fs.writeFileSync(envFile, `PRIVATE_KEY=${key}\nPRIVATE_KEY=your-private-key-here\nAPI_KEY=x\n`);
+
+    const loaded = await loadPrivateKeys({ dir: path.join(dir, 'none'), password: '', passwordFile: '' }, envFile);
+
+    assert.deepEqual(loaded, { privateKeys: [key], source: 'env' });
+    assert.deepEqual(parseEnvPrivateKeys(path.join(dir, 'missing.env')), []);
+});
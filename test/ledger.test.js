@@ -0,0 +1,67 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { appendLedger, readLedger, latestEntries, filterLedger, toCsv } from '../src/ledger.js';
+
+const ALICE = '0xA11ce00000000000000000000000000000000001';
+const BOB = '0xB0b0000000000000000000000000000000000002';
+
+let dir;
+
+before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), '4bsc-ledger-'));
+});
+
+after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const ENTRIES = [
+    { time: '2026-03-01T10:00:00.000Z', account: ALICE, kind: 'agent', id: 1, name: 'Bot1', description: 'd1', status: 'created' },
+    { time: '2026-03-01T10:01:00.000Z', account: ALICE, kind: 'agent', id: 1, name: 'Bot1', status: 'registered', txHash: '0xaa', blockNumber: 7, gasCost: '0.0001' },
+    { time: '2026-03-02T09:00:00.000Z', account: BOB, kind: 'request', id: 2, name: 'Need "data", fast', description: 'd2', status: 'created' },
+    { time: '2026-03-02T09:01:00.000Z', account: BOB, kind: 'request', id: 2, name: 'Need "data", fast', status: 'reverted', txHash: '0xbb', gasCost: '0.00005' },
+    { time: '2026-03-08T00:00:00.000Z', account: ALICE, kind: 'request', id: 3, name: 'Later', description: 'd3', status: 'created' },
+];
+
+test('lines are appended and read back, skipping a torn last line', () => {
+    const file = path.join(dir, 'nested', 'ledger.jsonl');
+    appendLedger(file, { account: ALICE, kind: 'agent', id: 1, status: 'created' });
+    appendLedger(file, { account: ALICE, kind: 'agent', id: 1, status: 'registered', txHash: '0xaa' });
+    fs.appendFileSync(file, '{"account":"0x');
+
+    const { entries, skipped } = readLedger(file);
+
+    assert.equal(skipped, 1);
+    assert.deepEqual(entries.map(e => e.status), ['created', 'registered']);
+    assert.ok(!Number.isNaN(Date.parse(entries[0].time)));
+    assert.deepEqual(readLedger(path.join(dir, 'missing.jsonl')), { entries: [], skipped: 0 });
+});
+
+test('the latest status of each item keeps fields from its earlier lines', () => {
+    const latest = latestEntries(ENTRIES);
+
+    assert.equal(latest.length, 3);
+    assert.deepEqual(latest[0], { ...ENTRIES[1], description: 'd1' });
+    assert.equal(latest[1].status, 'reverted');
+    assert.equal(latest[1].description, 'd2');
+});
+
+test('filters by account prefix and inclusive date range', () => {
+    assert.deepEqual(filterLedger(ENTRIES, { account: '0xa11ce' }).map(e => e.id), [1, 1, 3]);
+    assert.deepEqual(filterLedger(ENTRIES, { from: '2026-03-02', to: '2026-03-07' }).map(e => e.id), [2, 2]);
+    assert.deepEqual(filterLedger(ENTRIES, { to: '2026-03-01' }).map(e => e.status), ['created', 'registered']);
+});
+
+test('CSV has a header and quotes fields that need it', () => {
+    const csv = toCsv(latestEntries(ENTRIES).slice(0, 2));
+
+    assert.deepEqual(csv.split('\r\n'), [
+        'time,account,kind,id,name,description,status,txHash,blockNumber,gasCost',
+        `2026-03-01T10:01:00.000Z,${ALICE},agent,1,Bot1,d1,registered,0xaa,7,0.0001`,
+        `2026-03-02T09:01:00.000Z,${BOB},request,2,"Need ""data"", fast",d2,reverted,0xbb,,0.00005`,
+        '',
+    ]);
+});
@@ -0,0 +1,97 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { OpenAiProvider, OllamaProvider, TemplateProvider, createProviders } from '../src/llm.js';
+import { extractJson, validateContent } from '../src/chat.js';
+import { startFakeLlm } from './harness/fake-llm.js';
+
+const REQUEST = { kind: 'createAgent', system: 'You are an AI agent generator.', prompt: 'create agent' };
+
+let server;
+
+before(async () => {
+    server = await startFakeLlm();
+});
+
+after(async () => {
+    await server.close();
+});
+
+beforeEach(() => {
+    server.llm.reset();
+});
+
+test('OpenAI-compatible provider sends the configured model and key', async () => {
+    const provider = new OpenAiProvider({ url: server.url, model: 'gpt-test', apiKey: 'k', temperature: 0.2 });
+
+    const content = JSON.parse(await provider.complete(REQUEST));
+
+    assert.match(content.name_agent, /^PoolWatcher/);
+    assert.equal(server.llm.calls[0].model, 'gpt-test');
+    assert.equal(server.llm.calls[0].temperature, 0.2);
+    assert.deepEqual(server.llm.calls[0].messages.map(m => m.role), ['system', 'user']);
+});
+
+test('Ollama provider talks to /api/chat', async () => {
+    const provider = new OllamaProvider({ url: `${server.baseUrl}/`, model: 'llama-test' });
+
+    const content = JSON.parse(await provider.complete(REQUEST));
+
+    assert.ok(content.description);
+    assert.equal(server.llm.calls[0].model, 'llama-test');
+    assert.equal(server.llm.calls[0].format, 'json');
+});
+
+test('unavailable provider throws with its name and status', async () => {
+    server.llm.reply(new Error('overloaded'));
+    const provider = new OpenAiProvider({ url: server.url, model: 'nova-fast' });
+
+    await assert.rejects(provider.complete(REQUEST), /openai:nova-fast failed: HTTP 503/);
+});
+
+test('template provider is deterministic and fits the platform limits', async () => {
+    const first = new TemplateProvider({ seed: 7 });
+    const second = new TemplateProvider({ seed: 7 });
+
+    for (const kind of ['createAgent', 'createRequest', 'createAgent']) {
+        const a = await first.complete({ kind });
+        assert.equal(a, await second.complete({ kind }));
+
+        const { description, name_agent } = JSON.parse(a);
+        assert.ok(description.length >= 120 && description.length <= 200, description);
+        if (name_agent) assert.doesNotMatch(name_agent, /\s/);
+    }
+});
+
+test('providers are built in the configured fallback order', () => {
+    const providers = createProviders({
+        providers: ['ollama', 'openai', 'template'],
+        temperature: 0.5,
+        timeoutMs: 1000,
+        openai: { url: server.url, model: 'm1', apiKey: '' },
+        ollama: { url: server.baseUrl, model: 'm2' },
+    });
+
+    assert.deepEqual(providers.map(p => p.name), ['ollama:m2', 'openai:m1', 'template']);
+});
+
+test('JSON is pulled out of fences and chatter', () => {
+    assert.deepEqual(extractJson('Here you go:\n```json\n{"title": "a {b} \\"c\\""}\n```\nEnjoy!'), { title: 'a {b} "c"' });
+    assert.deepEqual(extractJson('{oops} then {"title": "x"}'), { title: 'x' });
+    assert.equal(extractJson('no json here'), null);
+    assert.equal(extractJson(null), null);
+    assert.equal(extractJson('[1, 2]'), null);
+});
+
+test('content is checked against the schema from the system prompt', () => {
+    const description = 'x'.repeat(150);
+
+    assert.deepEqual(validateContent('createAgent', { name_agent: ' Bot1 ', description }), { fields: { name_agent: 'Bot1', description }, problems: [] });
+    assert.deepEqual(validateContent('createAgent', { name_agent: 'Two words', description: 'x'.repeat(201) }).problems, [
+        '"name_agent" must not contain spaces',
+        '"description" must be 120-200 characters, got 201',
+    ]);
+    assert.deepEqual(validateContent('createRequest', { description }).problems, ['"title" is missing or not a non-empty string']);
+    assert.deepEqual(validateContent('createRequest', { title: 'NeedAnAgent', description }).problems, ['"title" must contain spaces']);
+    assert.deepEqual(validateContent('createRequest', { title: ' Need an agent ', description }).fields, { title: 'Need an agent', description });
+    assert.deepEqual(validateContent('createRequest', null).problems, ['no JSON object found in the response']);
+});
@@ -0,0 +1,81 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { RotatingFileSink } from '../src/logfile.js';
+import logger from '../src/logger.js';
+
+let dir;
+
+before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), '4bsc-logs-'));
+});
+
+after(() => {
+    logger.configure({ file: '', accountDir: '' });
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function readLines(file) {
+    return fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+}
+
+test('files rotate by size and only maxFiles old ones are kept', () => {
+    const file = path.join(dir, 'size', 'bot.log');
+    let now = new Date(2026, 0, 1, 12, 0, 0);
+    const sink = new RotatingFileSink(file, { maxBytes: 40, maxFiles: 2, now: () => now });
+
+    for (let i = 0; i < 5; i++) {
+        now = new Date(2026, 0, 1, 12, 0, i);
+        sink.write(`{"line":${i},"padding":"xxxxxxxx"}`);
+    }
+    sink.close();
+
+    const rotated = fs.readdirSync(path.dirname(file)).filter(name => name !== 'bot.log').sort();
+    assert.deepEqual(rotated, ['bot.log.2026-01-01T12-00-03', 'bot.log.2026-01-01T12-00-04']);
+    assert.deepEqual(readLines(file), [{ line: 4, padding: 'xxxxxxxx' }]);
+    assert.deepEqual(readLines(path.join(path.dirname(file), rotated[1])), [{ line: 3, padding: 'xxxxxxxx' }]);
+});
+
+test('a new day starts a new file named after the old one', () => {
+    const file = path.join(dir, 'daily', 'bot.log');
+    let now = new Date(2026, 2, 14, 23, 59);
+    const sink = new RotatingFileSink(file, { now: () => now });
+
+    sink.write('{"day":14}');
+    now = new Date(2026, 2, 15, 0, 1);
+    sink.write('{"day":15}');
+    sink.close();
+
+    assert.deepEqual(readLines(`${file}.2026-03-14`), [{ day: 14 }]);
+    assert.deepEqual(readLines(file), [{ day: 15 }]);
+});
+
+test('log lines carry the account context into the main and per-account files', async () => {
+    const file = path.join(dir, 'context', 'bot.log');
+    const accountDir = path.join(dir, 'context', 'accounts');
+    const address = '0x00000000000000000000000000000000000000Aa';
+    logger.configure({ file, accountDir });
+
+    logger.info('outside');
+    await logger.withContext({ cycle: 3, account: 2, address }, async () => {
+        await logger.withContext({ task: 'agent' }, async () => {
+            await new Promise(resolve => setImmediate(resolve));
+            logger.success(`${logger.COLORS.green}Agent created${logger.COLORS.reset}`, { txHash: '0xabc' });
+        });
+        logger.warn('after the task');
+    });
+    logger.configure({ file: '', accountDir: '' });
+
+    const lines = readLines(file);
+    assert.deepEqual(lines.map(({ time, ...rest }) => rest), [
+        { level: 'info', context: '4BSCAI', message: 'outside' },
+        { level: 'success', context: '4BSCAI', cycle: 3, account: 2, address, task: 'agent', message: 'Agent created', txHash: '0xabc' },
+        { level: 'warn', context: '4BSCAI', cycle: 3, account: 2, address, message: 'after the task' },
+    ]);
+    assert.ok(!Number.isNaN(Date.parse(lines[0].time)));
+
+    const perAccount = readLines(path.join(accountDir, `${address.toLowerCase()}.log`));
+    assert.deepEqual(perAccount.map(line => line.message), ['Agent created', 'after the task']);
+});
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { counter, histogram, registerCollector, renderMetrics, startMetricsServer } from '../src/metrics.js';
+
+test('counters and histograms render in text exposition format', async () => {
+    const jobs = counter('test_jobs_total', 'Jobs done.');
+    const latency = histogram('test_latency_seconds', 'Latency.', [0.1, 1]);
+
+    jobs.inc({ kind: 'a "quoted"\nvalue' });
+    jobs.inc({ kind: 'a "quoted"\nvalue' }, 2);
+    latency.observe({ target: 'x' }, 0.05);
+    latency.observe({ target: 'x' }, 0.5);
+    await assert.rejects(latency.time({ target: 'y' }, async () => { throw new Error('boom'); }));
+
+    const text = renderMetrics();
+    assert.match(text, /# TYPE fourbsc_test_jobs_total counter\n/);
+    assert.match(text, /fourbsc_test_jobs_total\{kind="a \\"quoted\\"\\nvalue"\} 3\n/);
+    assert.match(text, /fourbsc_test_latency_seconds_bucket\{target="x",le="0.1"\} 1\n/);
+    assert.match(text, /fourbsc_test_latency_seconds_bucket\{target="x",le="1"\} 2\n/);
+    assert.match(text, /fourbsc_test_latency_seconds_bucket\{target="x",le="\+Inf"\} 2\n/);
+    assert.match(text, /fourbsc_test_latency_seconds_sum\{target="x"\} 0.55\n/);
+    assert.match(text, /fourbsc_test_latency_seconds_count\{target="y",outcome="error"\} 1\n/);
+});
+
+test('collectors are read at scrape time and served on /metrics', async () => {
+    let points = 10;
+    registerCollector(() => [
+        { name: 'test_points', help: 'Points.', type: 'gauge', samples: [{ labels: { account: 1 }, value: points }] },
+    ]);
+
+    const server = await startMetricsServer({ port: 0 });
+    const url = `http://127.0.0.1:${server.address().port}`;
+    try {
+        points = 42;
+        const response = await fetch(`${url}/metrics`);
+        assert.equal(response.status, 200);
+        assert.match(response.headers.get('content-type'), /^text\/plain; version=0.0.4/);
+        assert.match(await response.text(), /# TYPE fourbsc_test_points gauge\nfourbsc_test_points\{account="1"\} 42\n/);
+
+        assert.equal((await fetch(`${url}/other`)).status, 404);
+    } finally {
+        server.close();
+    }
+});
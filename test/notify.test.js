@@ -0,0 +1,84 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Notifier, formatPayload } from '../src/notify.js';
+import { startFakeWebhook } from './harness/fake-webhook.js';
+
+const ALERT = { title: 'Account #1: low <gas>', message: 'Top it up & retry', fields: { address: '0xabc' } };
+
+let server;
+
+before(async () => {
+    server = await startFakeWebhook();
+});
+
+after(async () => {
+    await server.close();
+});
+
+beforeEach(() => {
+    server.hook.reset();
+});
+
+test('payloads follow the JSON, Discord and Telegram formats', () => {
+    const at = new Date('2026-01-01T00:00:00Z');
+
+    assert.deepEqual(formatPayload({ format: 'json' }, 'low_gas', ALERT, at), { event: 'low_gas', ...ALERT, timestamp: '2026-01-01T00:00:00.000Z' });
+
+    const discord = formatPayload({ format: 'discord' }, 'low_gas', ALERT, at);
+    assert.equal(discord.embeds[0].title, ALERT.title);
+    assert.deepEqual(discord.embeds[0].fields, [{ name: 'address', value: '0xabc', inline: true }]);
+
+    const telegram = formatPayload({ format: 'telegram', chatId: '42' }, 'low_gas', ALERT, at);
+    assert.equal(telegram.chat_id, '42');
+    assert.equal(telegram.parse_mode, 'HTML');
+    assert.equal(telegram.text, '<b>Account #1: low &lt;gas&gt;</b>\nTop it up &amp; retry\naddress: <code>0xabc</code>');
+});
+
+test('a long telegram message drops whole lines instead of cutting a tag', () => {
+    const fields = Object.fromEntries(Array.from({ length: 300 }, (_, i) => [`Account #${i + 1}`, `<ok> & ${i}`]));
+
+    const { text } = formatPayload({ format: 'telegram', chatId: '42' }, 'summary', { title: 'Summary', message: 'Cycle done', fields });
+
+    assert.ok(text.length <= 4000);
+    const lines = text.split('\n');
+    assert.equal(lines.at(-1), '…');
+    assert.ok(lines.slice(2, -1).every(line => /^Account #\d+: <code>&lt;ok&gt; &amp; \d+<\/code>$/.test(line)));
+});
+
+test('webhooks only receive the events they subscribed to', async () => {
+    const notifier = new Notifier({
+        webhooks: [
+            { url: `${server.url}/all`, format: 'json', events: [] },
+            { url: `${server.url}/alerts`, format: 'json', events: ['auth_failed', 'low_gas'] },
+        ],
+    });
+
+    await notifier.notify('summary', { title: 'summary' });
+    await notifier.notify('low_gas', ALERT);
+
+    assert.deepEqual(server.hook.received.map(r => `${r.path} ${r.body.event}`), ['/all summary', '/all low_gas', '/alerts low_gas']);
+});
+
+test('rate limit drops extra messages and reports them with the next one', async () => {
+    let now = 0;
+    const notifier = new Notifier({ webhooks: [{ url: server.url, format: 'json', events: [] }], maxPerWindow: 2, windowMinutes: 1, now: () => now });
+
+    for (let i = 0; i < 5; i++) await notifier.notify('tx_reverted', { title: `revert ${i}`, message: 'reverted' });
+    await notifier.notify('low_gas', ALERT);
+    now += 60_000;
+    await notifier.notify('tx_reverted', { title: 'revert 5', message: 'reverted' });
+
+    assert.deepEqual(server.hook.received.map(r => r.body.title), ['revert 0', 'revert 1', ALERT.title, 'revert 5']);
+    assert.equal(server.hook.received[3].body.message, 'reverted\n(3 similar notification(s) suppressed by rate limit)');
+});
+
+test('failed delivery is logged, never thrown', async () => {
+    server.hook.failNext(500);
+    const notifier = new Notifier({ webhooks: [{ url: server.url, format: 'json', events: [] }] });
+
+    await notifier.notify('summary', { title: 'summary' });
+    notifier.notify('summary', { title: 'again' });
+    await notifier.flush();
+
+    assert.deepEqual(server.hook.received.map(r => r.body.title), ['again']);
+});
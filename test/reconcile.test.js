@@ -0,0 +1,106 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Wallet } from 'ethers';
+import { startHarness } from './harness/index.js';
+import { getConfig } from '../src/config.js';
+import { readLedger, latestEntries } from '../src/ledger.js';
+import { findRegistrations, reconcile } from '../src/reconcile.js';
+
+const ALICE = '0xA11ce00000000000000000000000000000000001';
+const BOB = '0xB0b0000000000000000000000000000000000002';
+
+let harness;
+let bot;
+let transactions;
+
+before(async () => {
+    harness = await startHarness();
+    bot = await import('../src/bot.js');
+    transactions = await import('../src/transactions.js');
+});
+
+after(async () => {
+    await harness.close();
+});
+
+beforeEach(() => {
+    harness.reset();
+});
+
+function registration(fields) {
+    return { hash: `0x${fields.id}`, from: ALICE, blockNumber: 1, success: true, kind: 'agent', name: 'Bot1', description: 'd', ...fields };
+}
+
+test('every ledger item lands in exactly one bucket', () => {
+    const items = [
+        { account: ALICE, kind: 'agent', id: 1, name: 'Bot1', description: 'd', status: 'registered' },
+        { account: ALICE, kind: 'agent', id: 2, name: 'Bot2', status: 'created' },
+        { account: ALICE, kind: 'agent', id: 3, name: 'Bot3', status: 'registered' },
+        { account: ALICE, kind: 'agent', id: 4, name: 'Bot4', status: 'registered' },
+        { account: ALICE, kind: 'request', id: 5, name: 'Title', status: 'registered' },
+    ];
+    const registrations = [
+        registration({ id: '1' }),
+        registration({ id: '2', success: false }),
+        registration({ id: '3', name: 'Bot3' }),
+        registration({ id: '3', hash: '0x3b', name: 'Bot3' }),
+        registration({ id: '4', from: BOB, name: 'Bot4' }),
+        registration({ id: '5', kind: 'request', name: 'Other title' }),
+        registration({ id: '9', name: 'Stray' }),
+    ];
+
+    const report = reconcile(items, registrations);
+
+    assert.deepEqual(Object.fromEntries(Object.entries(report).map(([name, rows]) => [name, rows.map(row => row.id)])), {
+        ok: [1],
+        missing: [2],
+        duplicate: [3],
+        mismatched: [4, 5],
+        unknown: ['9'],
+    });
+    assert.match(report.mismatched[0].reason, /registered by 0xB0b0/);
+    assert.match(report.mismatched[1].reason, /on-chain name "Other title" differs from "Title"/);
+    assert.deepEqual(report.duplicate[0].txHashes, ['0x3', '0x3b']);
+});
+
+test('registrations are found on chain and match the ledger of a full cycle', async (t) => {
+    const wallet = Wallet.createRandom();
+    const other = Wallet.createRandom();
+    bot.initAccounts([wallet.privateKey]);
+    await bot.processAccount(wallet.privateKey, 0);
+    await transactions.contractCall(other, other.address, 'addNewAgent', [777, 'Stranger', 'd']);
+
+    const { entries } = readLedger(process.env.LEDGER_FILE);
+    const items = latestEntries(entries);
+    const hashes = entries.map(e => e.txHash).filter(Boolean);
+    const provider = transactions.getProvider();
+    const options = {
+        address: getConfig().contract.address,
+        wallets: [wallet.address],
+        fromBlock: 0,
+        toBlock: harness.chain.blockNumber,
+        chunkBlocks: 1,
+    };
+
+    // Found by scanning the contract's blocks alone, and through the ledger's hashes alone
+    const fromBlocks = await findRegistrations(provider, { ...options, hashes: [] });
+    const fromHashes = await findRegistrations(provider, { ...options, hashes, fromBlock: 1, toBlock: 0 });
+    assert.deepEqual(fromBlocks.map(r => `${r.kind} ${r.name}`), items.map(item => `${item.kind} ${item.name}`));
+    assert.deepEqual(fromHashes, fromBlocks);
+    assert.equal(reconcile(items, fromBlocks).ok.length, 2);
+
+    // Ledger transactions the scan found are not fetched again
+    const lookups = t.mock.method(provider, 'getTransaction');
+    assert.deepEqual(await findRegistrations(provider, { ...options, hashes }), fromBlocks);
+    assert.equal(lookups.mock.callCount(), 0);
+    lookups.mock.restore();
+
+    // The same agent registered a second time shows up as a duplicate
+    const [agent] = items;
+    await transactions.contractCall(wallet, wallet.address, 'addNewAgent', [agent.id, agent.name, agent.description]);
+    const again = await findRegistrations(provider, { ...options, toBlock: harness.chain.blockNumber, hashes: [] });
+    const report = reconcile(items, again);
+    assert.deepEqual(report.duplicate.map(row => row.id), [agent.id]);
+    assert.equal(report.ok.length, 1);
+    assert.equal(report.unknown.length, 0);
+});
@@ -0,0 +1,85 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Wallet } from 'ethers';
+import logger from '../src/logger.js';
+import { redact, redactValue, registerSecret, clearSecrets, MASK } from '../src/redact.js';
+
+const TX_HASH = `0x${'ab'.repeat(32)}`;
+const JWT = 'eyJhbGciOiJIUzI1NiJ9.eyJ1aWQiOjF9.c2lnbmF0dXJl';
+
+afterEach(() => {
+    clearSecrets();
+});
+
+test('credentials in text are masked, hashes and addresses are kept', () => {
+    const signature = `0x${'1f'.repeat(65)}`;
+    const text = `headers: { authorization: 'Bearer abc.def-123' } token=${JWT} "x-api-key": "sk-live-42" sig ${signature} tx ${TX_HASH} from 0x00000000000000000000000000000000000000Aa`;
+
+    const result = redact(text);
+
+    assert.equal(result, `headers: { authorization: 'Bearer ${MASK}' } token=${MASK} "x-api-key": "${MASK}" sig ${MASK} tx ${TX_HASH} from 0x00000000000000000000000000000000000000Aa`);
+    assert.equal(redact('token_expire_time: 1700000000, token: null'), 'token_expire_time: 1700000000, token: null');
+});
+
+test('placeholders and plain words after a credential key are kept', (t) => {
+    assert.equal(redact('PRIVATE_KEY=0x...'), 'PRIVATE_KEY=0x...');
+    assert.equal(redact('set API_KEY=your-key in .env'), 'set API_KEY=your-key in .env');
+    assert.equal(redact('Token: valid'), 'Token: valid');
+    assert.equal(redact('password=hunter22 secret: "s3cr3t-value"'), `password=${MASK} secret: "${MASK}"`);
+
+    // The setup instructions printed when no keys are configured
+    const printed = [];
+    t.mock.method(console, 'log', (...args) => printed.push(args.join(' ')));
+    logger.info('PRIVATE_KEY=0x...');
+    assert.match(printed[0], /PRIVATE_KEY=0x\.\.\.$/);
+});
+
+test('registered secrets are masked with or without the 0x prefix', () => {
+    const wallet = Wallet.createRandom();
+    registerSecret(wallet.privateKey);
+    registerSecret('short');
+
+    assert.equal(redact(`key ${wallet.privateKey} / ${wallet.privateKey.slice(2)}`), `key ${MASK} / ${MASK}`);
+    assert.equal(redact('a short word'), 'a short word');
+});
+
+test('meta objects and errors are redacted deeply', () => {
+    const error = new Error('Login failed');
+    error.config = { headers: { authorization: `Bearer ${JWT}` } };
+
+    const meta = redactValue({ apiKey: 'sk-1', nested: { privateKey: '0x01', note: `Bearer ${JWT}` }, list: [{ password: 'hunter22' }], error, ok: true });
+
+    assert.deepEqual({ ...meta, error: undefined }, {
+        apiKey: MASK,
+        nested: { privateKey: MASK, note: `Bearer ${MASK}` },
+        list: [{ password: MASK }],
+        error: undefined,
+        ok: true,
+    });
+    assert.match(meta.error, /Login failed/);
+    assert.doesNotMatch(meta.error, /eyJ/);
+});
+
+test('errors logged as meta are printed redacted', (t) => {
+    const printed = [];
+    t.mock.method(console, 'log', (...args) => printed.push(args.join(' ')));
+    const error = Object.assign(new Error('send_contract_tx failed'), { request: { headers: { Authorization: `Bearer ${JWT}` } } });
+
+    logger.error('Error calling addNewAgent: send_contract_tx failed', { error });
+
+    assert.equal(printed.length, 1);
+    assert.match(printed[0], /Error calling addNewAgent: send_contract_tx failed/);
+    assert.match(printed[0], /Error: send_contract_tx failed/);
+    assert.doesNotMatch(printed[0], new RegExp(JWT.split('.')[0]));
+});
+
+test('logger masks messages and meta before printing', (t) => {
+    const printed = [];
+    t.mock.method(console, 'log', (...args) => printed.push(args.join(' ')));
+
+    logger.warn(`Retrying with Bearer ${JWT}`, { token: JWT });
+
+    assert.equal(printed.length, 1);
+    assert.doesNotMatch(printed[0], /eyJ/);
+    assert.match(printed[0], /Bearer \[REDACTED\]/);
+});
@@ -0,0 +1,84 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { FailoverRpcProvider } from '../src/rpc.js';
+import logger from '../src/logger.js';
+import { renderMetrics } from '../src/metrics.js';
+import { redact, MASK } from '../src/redact.js';
+import { loadConfig } from '../src/config.js';
+import { startFakeChain } from './harness/fake-chain.js';
+
+let primary;
+let secondary;
+let broken;
+let brokenUrl;
+
+before(async () => {
+    [primary, secondary] = await Promise.all([startFakeChain(), startFakeChain()]);
+
+    // Answers every request with a 502, like an overloaded public endpoint
+    broken = http.createServer((req, res) => {
+        res.writeHead(502);
+        res.end();
+    });
+    await new Promise(resolve => broken.listen(0, '127.0.0.1', resolve));
+    brokenUrl = `http://127.0.0.1:${broken.address().port}`;
+});
+
+after(async () => {
+    broken.close();
+    await Promise.all([primary.close(), secondary.close()]);
+});
+
+test('health check flags failing and lagging endpoints', async () => {
+    primary.chain.blockNumber = 500;
+    secondary.chain.blockNumber = 100;
+    const provider = new FailoverRpcProvider([brokenUrl, secondary.url, primary.url], { maxBlockLag: 5, timeoutMs: 1000 });
+
+    const endpoints = await provider.checkHealth();
+
+    assert.deepEqual(endpoints.map(e => e.healthy), [false, false, true]);
+    assert.match(endpoints[1].reason, /400 blocks behind/);
+    provider.destroy();
+});
+
+test('requests fail over to the next endpoint', async () => {
+    primary.chain.blockNumber = 500;
+    secondary.chain.blockNumber = 500;
+    const provider = new FailoverRpcProvider([primary.url, secondary.url], { timeoutMs: 1000 });
+    await provider.checkHealth();
+
+    provider.endpoints[0].latency = 1;
+    provider.endpoints[1].latency = 50;
+
+    // Make the fastest endpoint unreachable after the health check
+    await primary.close();
+    const blockNumber = await provider.getBlockNumber();
+
+    assert.equal(blockNumber, 500);
+    assert.equal(provider.endpoints.find(e => e.url === primary.url).healthy, false);
+    assert.equal(provider.endpoints.find(e => e.url === secondary.url).served, 1);
+    provider.destroy();
+});
+
+test('endpoints with an API key in the url are only ever shown by host', async (t) => {
+    const keyed = `${brokenUrl}/v1/0123456789abcdef0123456789abcdef`;
+    loadConfig({ env: { RPC_URLS: `${keyed},${secondary.url}` } });
+    secondary.chain.blockNumber = 500;
+    const warnings = [];
+    t.mock.method(logger, 'warn', message => warnings.push(message));
+
+    const provider = new FailoverRpcProvider([keyed, secondary.url, `${secondary.url}/other`], { timeoutMs: 1000 });
+    provider.checkedAt = Date.now();
+    await provider.getBlockNumber();
+
+    const host = new URL(brokenUrl).host;
+    assert.deepEqual(provider.endpoints.map(e => e.label), [host, new URL(secondary.url).host, `${new URL(secondary.url).host} #2`]);
+    assert.match(warnings[0], new RegExp(`^RPC ${host} failed`));
+    const metrics = await renderMetrics();
+    assert.match(metrics, new RegExp(`endpoint="${host}"`));
+    assert.doesNotMatch(metrics + warnings.join(), /0123456789abcdef/);
+    // Anywhere else the full url shows up, e.g. in an error message, it is masked
+    assert.equal(redact(`request to ${keyed} failed`), `request to ${MASK} failed`);
+    provider.destroy();
+});
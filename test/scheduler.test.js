@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AccountScheduler, nextRunAt, initialRunAt } from '../src/scheduler.js';
+
+const HOUR = 60 * 60 * 1000;
+const OPTIONS = { safetyMarginSeconds: 120, retryMinutes: 30, maxWaitHours: 24 };
+const NOW = 1_700_000_000_000;
+
+test('accounts come out in due order and only once due', () => {
+    const scheduler = new AccountScheduler();
+    scheduler.schedule(0, NOW + 3 * HOUR);
+    scheduler.schedule(1, NOW + HOUR);
+    scheduler.schedule(2, NOW + 2 * HOUR);
+    scheduler.schedule(0, NOW - 1);
+
+    assert.deepEqual(scheduler.upcoming().map(e => e.account), [0, 1, 2]);
+    assert.deepEqual(scheduler.takeDue(NOW), [0]);
+    assert.deepEqual(scheduler.takeDue(NOW + 2 * HOUR), [1, 2]);
+    assert.equal(scheduler.peek(), null);
+});
+
+test('successful run waits for the cooldown plus the safety margin', () => {
+    const cooldownEndTime = NOW / 1000 + 5 * 3600;
+
+    assert.equal(nextRunAt({ lastStatus: 'ok', cooldownEndTime }, OPTIONS, NOW), NOW + 5 * HOUR + 120_000);
+});
+
+test('stale cooldown and failures are retried after retryMinutes', () => {
+    assert.equal(nextRunAt({ lastStatus: 'ok', cooldownEndTime: NOW / 1000 - 60 }, OPTIONS, NOW), NOW + 30 * 60_000);
+    assert.equal(nextRunAt({ lastStatus: 'failed', cooldownEndTime: NOW / 1000 + 3600 }, OPTIONS, NOW), NOW + 30 * 60_000);
+});
+
+test('no account waits longer than maxWaitHours', () => {
+    const cooldownEndTime = NOW / 1000 + 48 * 3600;
+
+    assert.equal(nextRunAt({ lastStatus: 'ok', cooldownEndTime }, OPTIONS, NOW), NOW + 24 * HOUR);
+    assert.equal(initialRunAt({ lastStatus: 'ok', cooldownEndTime }, OPTIONS, NOW), NOW + 24 * HOUR);
+});
+
+test('on startup only a running saved cooldown delays the first run', () => {
+    assert.equal(initialRunAt(undefined, OPTIONS, NOW), NOW);
+    assert.equal(initialRunAt({ lastStatus: 'ok', cooldownEndTime: NOW / 1000 - 3600 }, OPTIONS, NOW), NOW);
+    assert.equal(initialRunAt({ lastStatus: 'ok', cooldownEndTime: NOW / 1000 + 3600 }, OPTIONS, NOW), NOW + HOUR + 120_000);
+});
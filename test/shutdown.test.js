@@ -0,0 +1,31 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { requestShutdown, isShuttingDown, interruptibleSleep, trackInFlight, inFlightWork, resetShutdown } from '../src/shutdown.js';
+
+afterEach(() => {
+    resetShutdown();
+});
+
+test('sleeps end as soon as shutdown is requested', async () => {
+    const started = Date.now();
+    setTimeout(() => requestShutdown('SIGINT'), 20);
+
+    await interruptibleSleep(60000);
+
+    assert.ok(Date.now() - started < 5000);
+    assert.equal(isShuttingDown(), true);
+
+    // Later sleeps do not wait at all
+    await interruptibleSleep(60000);
+});
+
+test('in-flight work is listed until it settles', async () => {
+    let finish;
+    const work = trackInFlight('account #1 agent', () => new Promise(resolve => { finish = resolve; }));
+    await assert.rejects(trackInFlight('account #2 request', async () => { throw new Error('boom'); }), /boom/);
+
+    assert.deepEqual(inFlightWork(), ['account #1 agent']);
+    finish('done');
+    assert.equal(await work, 'done');
+    assert.deepEqual(inFlightWork(), []);
+});
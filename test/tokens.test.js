@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TokenManager, decodeJwtExpiry } from '../src/tokens.js';
+
+const NOW = 1_800_000_000;
+
+function jwt(payload) {
+    const encode = object => Buffer.from(JSON.stringify(object)).toString('base64url');
+    return `${encode({ alg: 'HS256' })}.${encode(payload)}.c2ln`;
+}
+
+const manager = new TokenManager({ refreshMarginSeconds: 600, now: () => NOW * 1000 });
+
+test('expiry comes from the JWT exp claim when there is one', () => {
+    assert.equal(decodeJwtExpiry(jwt({ exp: NOW + 10 })), NOW + 10);
+    assert.equal(decodeJwtExpiry(jwt({ uid: 1 })), null);
+    assert.equal(decodeJwtExpiry('0f3a9c'), null);
+    assert.equal(decodeJwtExpiry('a.%%%.c'), null);
+});
+
+test('the earlier of the server expiry and the JWT expiry wins, in seconds or milliseconds', () => {
+    assert.equal(manager.expiresAt({ token: jwt({ exp: NOW + 100 }), token_expire_time: NOW + 3600 }), NOW + 100);
+    assert.equal(manager.expiresAt({ token: 'opaque', token_expire_time: (NOW + 3600) * 1000 }), NOW + 3600);
+    assert.equal(manager.expiresAt({ token: 'opaque' }), null);
+});
+
+test('tokens expiring within the margin are refreshed ahead of time', () => {
+    assert.equal(manager.isFresh({ token: 'a', token_expire_time: NOW + 3600 }), true);
+    assert.equal(manager.isFresh({ token: 'a', token_expire_time: NOW + 300 }), false);
+    assert.equal(manager.isFresh({ token: 'a', token_expire_time: NOW - 1 }), false);
+    assert.equal(manager.isFresh({ token: 'a' }), true);
+    assert.equal(manager.isFresh({ token_expire_time: NOW + 3600 }), false);
+    assert.equal(manager.isFresh(null), false);
+});